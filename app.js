@@ -4,14 +4,50 @@
   // ── State ───────────────────────────────────────────────
 
   let currentDate = null;
+  let currentNanos = 0; // sub-millisecond part of currentDate, 0–999999
+  let currentInterval = null; // { start, end, startNanos, endNanos, format } in duration mode
+  let mode = 'single';
+  let batchColumns = ['iso-tz', 'unix-s'];
+  let batchTimer = null;
+  let logTimer = null;
   let currentTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  let inputTimezone = 'UTC'; // how inputs without an offset are read
+  let dstPick = 'earlier'; // instant used for a gap/overlap wall clock
+  let lastWallClock = null; // gap/overlap met by the latest parse
+  let zonePicks = {}; // ambiguous abbreviation → chosen IANA zone
+  let readingPicks = {}; // input shape → reading chosen among several
+  let extraRows = ['iso-week', 'ordinal', 'quarter']; // optional output rows shown in single mode
+  let customFormats = []; // user-defined rows: { id, syntax, pattern, label }
+  let localeSetting = { locale: 'en-US', calendar: '', numbering: '', hours: '', dateStyle: 'default', timeStyle: 'default' }; // human and relative rows
+  let localeRows = []; // extra human rows side by side: localeSetting fields plus id
+  let editingFormat = null; // id of the custom row loaded into the editor
+  let inputPatterns = []; // user-defined parsers: { id, name, syntax, pattern, zone, first }
+  let inputDetectors = []; // inputPatterns compiled into FORMATS-style entries
+  let editingPattern = null; // id of the input pattern loaded into the editor
+  let snowflakeConfig = { preset: 'twitter', epoch: 0, layout: '' }; // epoch and layout apply to 'custom'
+  let tokenClaim = 'exp'; // JWT claim shown as the instant
+  let currentToken = null; // decoded JWT behind the input, for the claims panel
+  let cronTimezone = 'UTC'; // schedule timezone for cron expressions without CRON_TZ=
+  let cronCount = 5; // next and previous runs listed
+  let cronDialect = 'Quartz'; // reading of 6-field expressions with "?": 'Quartz' or 'Spring'
+  let currentCron = null; // compiled cron expression behind the input
   let dateFormat = 'us';
   let theme = null; // resolved in initTheme
   let relativeTimer = null;
+  let live = false; // now-based inputs, the Relative row and countdowns tick every second
+  let liveAlert = false; // notify and flag the title when a countdown reaches zero
+  let currentReading = null; // id of the reading behind currentDate
+  let alarmTimer = null;
+  let alarmAt = null; // countdown target (ms) the alarm is armed for
+  let alarmFired = false;
   let debounceTimer = null;
-  let highlightedIndex = -1;
-  let filteredTimezones = [];
   let allTimezones = [];
+  let tzPicker = null;
+  let inputTzPicker = null;
+  let pinnedZones = [];
+  let historyEntries = []; // recent conversions, newest first: { input, format, timezone, instant, converted, pinned, label }
+  let historyTimer = null;
+  let historyCursor = -1; // entry recalled with the arrow keys, -1 while typing
 
   // ── DOM refs ────────────────────────────────────────────
 
@@ -19,18 +55,108 @@
   const input = $('timestamp-input');
   const feedback = $('input-feedback');
   const detectedEl = $('detected-format');
+  const arithmeticEl = $('detected-arithmetic');
   const outputSection = $('output-section');
+  const extraRowsPicker = $('extra-rows-picker');
+  const customForm = $('custom-format-form');
+  const customSyntax = $('custom-format-syntax');
+  const customPattern = $('custom-format-pattern');
+  const customLabel = $('custom-format-label');
+  const customSubmit = $('custom-format-submit');
+  const customPreview = $('custom-format-preview');
+  const localeForm = $('locale-form');
+  const localeTag = $('locale-tag');
+  const localeCalendar = $('locale-calendar');
+  const localeNumbering = $('locale-numbering');
+  const localeHours = $('locale-hours');
+  const localeDateStyle = $('locale-date-style');
+  const localeTimeStyle = $('locale-time-style');
+  const localeAdd = $('locale-add');
+  const localePreview = $('locale-preview');
+  const localeRowList = $('locale-rows');
+  const snippetList = $('snippet-list');
+  const inputPatternList = $('input-pattern-list');
+  const inputPatternForm = $('input-pattern-form');
+  const inputPatternName = $('input-pattern-name');
+  const inputPatternSyntax = $('input-pattern-syntax');
+  const inputPatternText = $('input-pattern-text');
+  const inputPatternZone = $('input-pattern-zone');
+  const inputPatternSample = $('input-pattern-sample');
+  const inputPatternSubmit = $('input-pattern-submit');
+  const inputPatternPreview = $('input-pattern-preview');
+  const snowflakeForm = $('snowflake-form');
+  const snowflakePreset = $('snowflake-preset');
+  const snowflakeEpoch = $('snowflake-epoch');
+  const snowflakeLayoutInput = $('snowflake-layout');
+  const snowflakePreview = $('snowflake-preview');
+  const tokenPanel = $('token-panel');
+  const tokenHead = $('token-head');
+  const tokenClaims = $('token-claims');
+  const tokenLifetime = $('token-lifetime');
+  const tokenJSON = $('token-json');
+  const cronPanel = $('cron-panel');
+  const cronTzSearch = $('cron-tz-search');
+  const cronTzList = $('cron-tz-list');
+  const cronReferenceInput = $('cron-reference');
+  const cronCountInput = $('cron-count');
+  const cronDialectField = $('cron-dialect-field');
+  const cronDialectSelect = $('cron-dialect');
+  const cronSummary = $('cron-summary');
+  const cronNext = $('cron-next');
+  const cronPrev = $('cron-prev');
+  const transitionsPanel = $('transitions-panel');
+  const transitionsZone = $('transitions-zone');
+  const transitionsWarning = $('transitions-warning');
+  const transitionsNear = $('transitions-near');
+  const transitionsYear = $('transitions-year');
+  const transitionsTimeline = $('transitions-timeline');
+  const transitionsHistoryDetails = $('transitions-history-details');
+  const transitionsHistory = $('transitions-history');
+  const durationSection = $('duration-section');
   const tzSearch = $('tz-search');
   const tzList = $('tz-list');
-  const tzDropdown = $('tz-dropdown');
+  const inputTzSearch = $('input-tz-search');
+  const inputTzList = $('input-tz-list');
+  const dstHint = $('dst-hint');
+  const zoneHint = $('zone-hint');
+  const readingHint = $('reading-hint');
   const themeToggle = $('theme-toggle');
+  const historyBtn = $('history-btn');
+  const historyPanel = $('history-panel');
+  const historyClose = $('history-close');
+  const historySearch = $('history-search');
+  const historyList = $('history-list');
+  const historyEmpty = $('history-empty');
+  const historyExport = $('history-export');
+  const historyClear = $('history-clear');
   const dateFormatToggle = $('date-format-toggle');
   const dateFormatHint = $('date-format-hint');
   const nowBtn = $('now-btn');
+  const liveBtn = $('live-btn');
+  const liveAlertLabel = $('live-alert-label');
+  const liveAlertBox = $('live-alert');
+  const countdownEl = $('countdown');
+  const countdownValue = $('countdown-value');
+  const pageTitle = document.title;
+  const copyLinkBtn = $('copy-link-btn');
+  const pinSearch = $('pin-search');
+  const pinList = $('pin-list');
+  const pinnedEl = $('pinned-zones');
+  const modeTabs = document.querySelectorAll('.mode-tab');
+  const batchSection = $('batch-section');
+  const batchInput = $('batch-input');
+  const batchColumnsEl = $('batch-columns');
+  const batchTable = $('batch-table');
+  const logSection = $('log-section');
+  const logInput = $('log-input');
+  const logAnnotated = $('log-annotated');
+  const logHits = $('log-hits');
 
   const outputs = {
     'unix-s': $('out-unix-s'),
     'unix-ms': $('out-unix-ms'),
+    'unix-us': $('out-unix-us'),
+    'unix-ns': $('out-unix-ns'),
     iso: $('out-iso'),
     'iso-tz': $('out-iso-tz'),
     rfc: $('out-rfc'),
@@ -39,18 +165,38 @@
     human: $('out-human'),
   };
 
+  const durationOutputs = {
+    start: $('dur-start'),
+    end: $('dur-end'),
+    seconds: $('dur-seconds'),
+    ms: $('dur-ms'),
+    minutes: $('dur-minutes'),
+    hours: $('dur-hours'),
+    days: $('dur-days'),
+    breakdown: $('dur-breakdown'),
+    iso: $('dur-iso'),
+  };
+
   // ── Init ────────────────────────────────────────────────
 
   function init() {
     loadPreferences();
     initTheme();
     populateTimezones();
+    populatePatternZones();
+    renderBatchColumns();
+    renderExtraRows();
+    renderInputPatterns();
+    renderSnowflakeForm();
+    renderLocaleForm();
     setupListeners();
     startRelativeTimer();
     input.value = 'now';
-    onInput();
-    input.focus();
-    input.select();
+    if (!applyHash()) onInput();
+    if (mode === 'single') {
+      input.focus();
+      input.select();
+    }
   }
 
   // ── Preferences ─────────────────────────────────────────
@@ -59,16 +205,127 @@
     const saved = localStorage.getItem('tc_timezone');
     if (saved) currentTimezone = saved;
 
+    const savedInput = localStorage.getItem('tc_inputTimezone');
+    if (savedInput && isValidTimezone(savedInput)) inputTimezone = savedInput;
+
+    const savedCronTz = localStorage.getItem('tc_cronTimezone');
+    if (savedCronTz && isValidTimezone(savedCronTz)) cronTimezone = savedCronTz;
+
+    const savedCount = parseInt(localStorage.getItem('tc_cronCount'), 10);
+    if (savedCount >= 1 && savedCount <= 50) cronCount = savedCount;
+    cronCountInput.value = cronCount;
+
+    const savedDialect = localStorage.getItem('tc_cronDialect');
+    if (savedDialect === 'Quartz' || savedDialect === 'Spring') cronDialect = savedDialect;
+    cronDialectSelect.value = cronDialect;
+
     const savedFmt = localStorage.getItem('tc_dateFormat');
     if (savedFmt === 'eu' || savedFmt === 'us') dateFormat = savedFmt;
 
     dateFormatToggle.textContent = dateFormat === 'us' ? 'MM/DD' : 'DD/MM';
+
+    live = localStorage.getItem('tc_live') === '1';
+    liveAlert = localStorage.getItem('tc_liveAlert') === '1';
+    liveBtn.setAttribute('aria-pressed', String(live));
+    liveAlertBox.checked = liveAlert;
+    liveAlertLabel.hidden = !live;
+
+    try {
+      const pins = JSON.parse(localStorage.getItem('tc_pinnedZones'));
+      if (Array.isArray(pins)) pinnedZones = pins.filter(isValidTimezone);
+    } catch {
+      // Ignore a corrupt value; the panel starts empty
+    }
+
+    try {
+      const saved = JSON.parse(localStorage.getItem('tc_history'));
+      if (Array.isArray(saved)) {
+        historyEntries = saved.filter((e) => e && ['input', 'format', 'timezone', 'instant', 'converted', 'label']
+          .every((k) => typeof e[k] === 'string') && typeof e.pinned === 'boolean');
+      }
+    } catch {
+      // Ignore a corrupt value; history starts empty
+    }
+
+    try {
+      const saved = JSON.parse(localStorage.getItem('tc_snowflake'));
+      if (saved && (SNOWFLAKE_PRESETS[saved.preset] ||
+          (saved.preset === 'custom' && !snowflakeLayout(saved).error))) snowflakeConfig = saved;
+    } catch {
+      // Ignore a corrupt value; Snowflakes use the Twitter layout
+    }
+
+    try {
+      const picks = JSON.parse(localStorage.getItem('tc_readingPicks'));
+      if (picks && typeof picks === 'object') readingPicks = picks;
+    } catch {
+      // Ignore a corrupt value; readings rank by plausibility alone
+    }
+
+    try {
+      const saved = JSON.parse(localStorage.getItem('tc_customFormats'));
+      if (Array.isArray(saved)) {
+        customFormats = saved.filter((c) => c && PATTERN_SYNTAXES[c.syntax] && typeof c.pattern === 'string' &&
+          !compilePattern(c.syntax, c.pattern).error);
+        customFormats.forEach(registerCustomFormat);
+      }
+    } catch {
+      // Ignore a corrupt value; no custom rows
+    }
+
+    try {
+      const saved = JSON.parse(localStorage.getItem('tc_locale'));
+      if (isValidLocaleSetting(saved)) localeSetting = saved;
+    } catch {
+      // Ignore a corrupt value; human output stays en-US
+    }
+
+    try {
+      const saved = JSON.parse(localStorage.getItem('tc_localeRows'));
+      if (Array.isArray(saved)) {
+        localeRows = saved.filter((r) => isValidLocaleSetting(r) && /^locale-\d+$/.test(r.id));
+        localeRows.forEach(registerLocaleRow);
+      }
+    } catch {
+      // Ignore a corrupt value; no extra locale rows
+    }
+
+    try {
+      const saved = JSON.parse(localStorage.getItem('tc_inputPatterns'));
+      if (Array.isArray(saved)) {
+        inputPatterns = saved.filter((p) => p && typeof p.name === 'string' && INPUT_SYNTAXES[p.syntax] &&
+          typeof p.pattern === 'string' && !compileInputPattern(p.syntax, p.pattern).error &&
+          (!p.zone || isValidTimezone(p.zone)));
+        buildInputDetectors();
+      }
+    } catch {
+      // Ignore a corrupt value; only the built-in formats apply
+    }
+
+    const savedRows = localStorage.getItem('tc_extraRows');
+    if (savedRows !== null) {
+      extraRows = savedRows.split(',').filter((id) => OUTPUT_FORMATS.some((f) => f.optional && f.id === id));
+    }
+
+    const savedCols = localStorage.getItem('tc_batchColumns');
+    if (savedCols !== null) {
+      batchColumns = savedCols.split(',').filter((id) => OUTPUT_FORMATS.some((f) => f.id === id));
+    }
   }
 
   function savePref(key, value) {
     localStorage.setItem('tc_' + key, value);
   }
 
+  function pickReading(shape, id) {
+    // Most recent last; the oldest picks drop out past 50 shapes
+    delete readingPicks[shape];
+    readingPicks[shape] = id;
+    const shapes = Object.keys(readingPicks);
+    for (const old of shapes.slice(0, Math.max(0, shapes.length - 50))) delete readingPicks[old];
+    savePref('readingPicks', JSON.stringify(readingPicks));
+  }
+
   // ── Theme ───────────────────────────────────────────────
 
   function initTheme() {
@@ -97,7 +354,7 @@
   const TZ_ABBREVS = {
     // North America
     'est': ['America/New_York'], 'edt': ['America/New_York'],
-    'cst': ['America/Chicago'], 'cdt': ['America/Chicago'],
+    'cst': ['America/Chicago', 'Asia/Shanghai'], 'cdt': ['America/Chicago'],
     'mst': ['America/Denver'], 'mdt': ['America/Denver'],
     'pst': ['America/Los_Angeles'], 'pdt': ['America/Los_Angeles'],
     'akst': ['America/Anchorage'], 'akdt': ['America/Anchorage'],
@@ -114,7 +371,7 @@
     'eest': ['Europe/Helsinki', 'Europe/Bucharest', 'Europe/Athens'],
     'msk': ['Europe/Moscow'],
     // Asia
-    'ist': ['Asia/Kolkata'],
+    'ist': ['Asia/Kolkata', 'Europe/Dublin', 'Asia/Jerusalem'], 'idt': ['Asia/Jerusalem'],
     'pkt': ['Asia/Karachi'],
     'bdt': ['Asia/Dhaka'],
     'ict': ['Asia/Bangkok'],
@@ -165,8 +422,6 @@
         'Asia/Tokyo', 'Asia/Shanghai', 'Asia/Kolkata', 'Australia/Sydney',
       ];
     }
-    tzSearch.value = formatTzDisplay(currentTimezone);
-    filteredTimezones = allTimezones;
   }
 
   function formatTzDisplay(tz) {
@@ -190,46 +445,19 @@
     return sign + h + (m ? ':' + String(m).padStart(2, '0') : '');
   }
 
-  function renderTzList() {
-    tzList.innerHTML = '';
-    highlightedIndex = -1;
-    filteredTimezones.forEach((tz, i) => {
-      const li = document.createElement('li');
-      li.setAttribute('role', 'option');
-      li.textContent = formatTzDisplay(tz);
-      if (tz === currentTimezone) li.classList.add('selected');
-      li.addEventListener('mousedown', (e) => {
-        e.preventDefault();
-        selectTimezone(tz);
-      });
-      li.addEventListener('mouseenter', () => {
-        setHighlight(i);
-      });
-      tzList.appendChild(li);
-    });
-  }
-
-  function openTzDropdown() {
-    filteredTimezones = allTimezones;
-    renderTzList();
-    tzList.classList.add('open');
-    tzSearch.setAttribute('aria-expanded', 'true');
-    tzSearch.select();
-  }
-
-  function closeTzDropdown() {
-    tzList.classList.remove('open');
-    tzSearch.setAttribute('aria-expanded', 'false');
-    tzSearch.value = formatTzDisplay(currentTimezone);
-    highlightedIndex = -1;
-  }
-
   function selectTimezone(tz) {
     currentTimezone = tz;
     savePref('timezone', tz);
-    closeTzDropdown();
-    tzSearch.select();
-    if (currentDate) updateOutputs();
+    updateUrl();
+    // Re-parse: relative expressions take their day boundaries from the timezone
+    reparse();
+  }
+
+  function selectInputTimezone(tz) {
+    inputTimezone = tz;
+    savePref('inputTimezone', tz);
+    updateUrl();
+    reparse();
   }
 
   function fuzzyScore(query, text) {
@@ -253,15 +481,9 @@
     return qi === q.length ? score : 0;
   }
 
-  function filterTimezones(query) {
+  function rankTimezones(query) {
     const q = query.toLowerCase().trim();
-
-    if (!q) {
-      filteredTimezones = [...allTimezones];
-      renderTzList();
-      if (filteredTimezones.length > 0) setHighlight(0);
-      return;
-    }
+    if (!q) return [...allTimezones];
 
     // Check if query matches a known abbreviation
     const abbrevMatches = TZ_ABBREVS[q];
@@ -283,39 +505,167 @@
     }
 
     scored.sort((a, b) => b.score - a.score);
-    filteredTimezones = scored.map((s) => s.tz);
+    return scored.map((s) => s.tz);
+  }
+
+  function createTzPicker(search, list, { getSelected, onSelect }) {
+    // Searchable combobox: opens once the user types, first match highlighted.
+    // Without getSelected the field is an "add" box that clears after a pick.
+    let filtered = [];
+    let highlighted = -1;
 
-    renderTzList();
-    if (filteredTimezones.length > 0) {
-      setHighlight(0);
+    function display() {
+      return getSelected ? formatTzDisplay(getSelected()) : '';
+    }
+
+    function setHighlight(index) {
+      const items = list.children;
+      if (highlighted >= 0 && highlighted < items.length) {
+        items[highlighted].classList.remove('highlighted');
+      }
+      highlighted = index;
+      if (index >= 0 && index < items.length) {
+        items[index].classList.add('highlighted');
+        items[index].scrollIntoView({ block: 'nearest' });
+      }
+    }
+
+    function render() {
+      list.innerHTML = '';
+      highlighted = -1;
+      const selected = getSelected && getSelected();
+      filtered.forEach((tz, i) => {
+        const li = document.createElement('li');
+        li.setAttribute('role', 'option');
+        li.textContent = formatTzDisplay(tz);
+        if (tz === selected) li.classList.add('selected');
+        li.addEventListener('mousedown', (e) => {
+          e.preventDefault();
+          select(tz);
+        });
+        li.addEventListener('mouseenter', () => {
+          setHighlight(i);
+        });
+        list.appendChild(li);
+      });
+      if (filtered.length > 0) setHighlight(0);
     }
-  }
 
-  function setHighlight(index) {
-    const items = tzList.children;
-    if (highlightedIndex >= 0 && highlightedIndex < items.length) {
-      items[highlightedIndex].classList.remove('highlighted');
+    function close() {
+      list.classList.remove('open');
+      search.setAttribute('aria-expanded', 'false');
+      search.value = display();
+      highlighted = -1;
     }
-    highlightedIndex = index;
-    if (index >= 0 && index < items.length) {
-      items[index].classList.add('highlighted');
-      items[index].scrollIntoView({ block: 'nearest' });
+
+    function select(tz) {
+      onSelect(tz);
+      close();
+      search.select();
     }
+
+    search.value = display();
+
+    search.addEventListener('focus', () => {
+      search.select();
+    });
+
+    search.addEventListener('input', () => {
+      list.classList.add('open');
+      search.setAttribute('aria-expanded', 'true');
+      filtered = rankTimezones(search.value);
+      render();
+    });
+
+    search.addEventListener('blur', () => {
+      // Delay to allow click on list item
+      setTimeout(close, 150);
+    });
+
+    search.addEventListener('keydown', (e) => {
+      const items = list.children;
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        setHighlight(Math.min(highlighted + 1, items.length - 1));
+      } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        setHighlight(Math.max(highlighted - 1, 0));
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        if (highlighted >= 0 && highlighted < filtered.length) {
+          select(filtered[highlighted]);
+        }
+      } else if (e.key === 'Escape') {
+        close();
+        search.blur();
+      }
+    });
+
+    return { refresh: () => { search.value = display(); } };
   }
 
   // ── Parsing ─────────────────────────────────────────────
 
+  const DAY_NS = 86400000000000n;
+
+  // Non-Unix epochs: values count `unit` nanoseconds from `epoch`. Fractional
+  // counts are allowed where the source stores a float; naive counts are
+  // wall-clock time (spreadsheets have no timezone). `digits` is the integer
+  // length of present-day values, for offering a bare number as that epoch.
+  const EPOCHS = [
+    { id: 'filetime', label: 'Windows FILETIME / LDAP', prefixes: ['filetime', 'ldap'], unit: 100n, epoch: '1601-01-01T00:00:00Z', digits: [17, 18] },
+    { id: 'dotnet', label: '.NET ticks', prefixes: ['ticks', 'dotnet'], unit: 100n, epoch: '0001-01-01T00:00:00Z', digits: [18, 18] },
+    { id: 'webkit', label: 'WebKit / Chrome', prefixes: ['webkit', 'chrome'], unit: 1000n, epoch: '1601-01-01T00:00:00Z', digits: [16, 17] },
+    { id: 'cocoa', label: 'Cocoa / Core Data', prefixes: ['cocoa', 'coredata'], unit: 1000000000n, epoch: '2001-01-01T00:00:00Z', fractional: true, digits: [8, 10] },
+    { id: 'hfs', label: 'HFS+', prefixes: ['hfs'], unit: 1000000000n, epoch: '1904-01-01T00:00:00Z', digits: [10, 10] },
+    // Lotus 1-2-3 counted 1900-02-29, so serials from 61 on are one day late; Excel kept the bug
+    { id: 'excel', label: 'Excel serial (1900)', prefixes: ['excel'], unit: DAY_NS, epoch: '1899-12-30T00:00:00Z', fractional: true, naive: true, lotusBug: true, digits: [5, 5] },
+    { id: 'excel1904', label: 'Excel serial (1904)', prefixes: ['excel1904'], unit: DAY_NS, epoch: '1904-01-01T00:00:00Z', fractional: true, naive: true, digits: [5, 5] },
+    { id: 'jd', label: 'Julian Day', prefixes: ['jd'], unit: DAY_NS, epoch: '-004713-11-24T12:00:00Z', fractional: true, digits: [7, 7] },
+    { id: 'mjd', label: 'Modified Julian Date', prefixes: ['mjd'], unit: DAY_NS, epoch: '1858-11-17T00:00:00Z', fractional: true, digits: [5, 5] },
+  ];
+
+  // Mail and HTTP dates. RFC 7231 senders use IMF-fixdate; recipients must
+  // still accept the obsolete RFC 850 and asctime forms, which are always GMT.
+  const RFC2822_DATE = /^(?:([A-Za-z]{3}),?\s+)?(\d{1,2})\s+([A-Za-z]{3})\s+(\d{4})\s+(\d{2}):(\d{2})(?::(\d{2}))?\s*([+-]\d{4}|Z|[A-Z]{2,5})?$/;
+  const HTTP_DATE = /^(Mon|Tue|Wed|Thu|Fri|Sat|Sun), (\d{2}) ([A-Za-z]{3}) (\d{4}) (\d{2}):(\d{2}):(\d{2}) GMT$/;
+  const RFC850_DATE = /^([A-Za-z]{6,9}), (\d{2})-([A-Za-z]{3})-(\d{2}) (\d{2}):(\d{2}):(\d{2}) GMT$/;
+  const ASCTIME_DATE = /^([A-Za-z]{3}) ([A-Za-z]{3}) +(\d{1,2}) (\d{2}):(\d{2}):(\d{2}) (\d{4})$/;
+  const COOKIE_DATE = /^([A-Za-z]{3}), (\d{2})-([A-Za-z]{3})-(\d{4}) (\d{2}):(\d{2}):(\d{2}) GMT$/;
+
+  // Structured encodings: protobuf, MongoDB Extended JSON and BSON
+  const PROTOBUF_TIMESTAMP = /^\{?\s*"?seconds"?\s*:\s*"?(-?\d+)"?\s*(?:,?\s*"?nanos"?\s*:\s*(\d{1,9})\s*)?\}?$/;
+  const MONGO_DATE = /^(?:\{\s*"\$date"\s*:\s*(?:"([^"]+)"|(-?\d+)|\{\s*"\$numberLong"\s*:\s*"(-?\d+)"\s*\})\s*\}|ISODate\(\s*"([^"]+)"\s*\))$/;
+  const BSON_TIMESTAMP = /^(?:Timestamp\(\s*(\d+)\s*,\s*(\d+)\s*\)|\{\s*"\$timestamp"\s*:\s*\{\s*"t"\s*:\s*(\d+)\s*,\s*"i"\s*:\s*(\d+)\s*\}\s*\})$/;
+
   const FORMATS = [
     {
       name: 'Relative',
-      test: /^(now|today|yesterday|tomorrow)$/i,
+      test: /^[a-z0-9\s:+\-,]+$/i,
       parse: parseRelativeInput,
     },
-    { name: 'Unix (ms)', test: /^-?\d{13,}$/, parse: (s) => new Date(parseInt(s, 10)) },
-    { name: 'Unix (s)', test: /^-?\d{1,12}$/, parse: (s) => new Date(parseInt(s, 10) * 1000) },
+    {
+      name: 'ISO week date',
+      test: /^\d{4}-?W\d{2}(-?[1-7])?$/i,
+      parse: parseISOWeek,
+    },
+    {
+      name: 'Ordinal date',
+      test: /^\d{4}-\d{3}$/,
+      parse: parseOrdinal,
+    },
+    ...EPOCHS.map((e) => ({
+      name: e.label,
+      test: new RegExp('^(' + e.prefixes.join('|') + '):\\s*-?\\d+(\\.\\d+)?$', 'i'),
+      parse: (s) => fromEpochCount(e, s.slice(s.indexOf(':') + 1).trim()),
+    })),
+    { name: 'Unix (ns)', test: /^-?\d{19,22}$/, parse: (s) => fromEpochNanos(BigInt(s)) },
+    { name: 'Unix (\u00b5s)', test: /^-?\d{16,18}$/, parse: (s) => fromEpochNanos(BigInt(s) * 1000n) },
+    { name: 'Unix (ms)', test: /^-?\d{13,15}$/, parse: (s) => new Date(parseInt(s, 10)) },
+    { name: 'Unix (s)', test: /^-?\d{1,12}(?:\.\d+)?$/, parse: parseUnixSeconds },
     {
       name: 'ISO 8601',
-      test: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/i,
+      test: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i,
       parse: parseISO,
     },
     {
@@ -324,10 +674,15 @@
       parse: parseCompactISO,
     },
     {
-      name: 'RFC 2822',
-      test: /^[A-Za-z]{3},?\s+\d{1,2}\s+[A-Za-z]{3}\s+\d{4}\s+\d{2}:\d{2}(:\d{2})?\s*([+-]\d{4}|[A-Z]{2,4})?$/,
-      parse: parseRFC2822,
+      name: 'RFC 3339',
+      test: /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i,
+      parse: (s) => parseISO(s.replace(' ', 'T')),
     },
+    { name: 'HTTP date (RFC 7231 IMF-fixdate)', test: HTTP_DATE, parse: parseHTTPDate },
+    { name: 'HTTP date (RFC 850, obsolete)', test: RFC850_DATE, parse: parseRFC850 },
+    { name: 'HTTP date (asctime, obsolete)', test: ASCTIME_DATE, parse: parseAsctime },
+    { name: 'Cookie date (Netscape)', test: COOKIE_DATE, parse: parseHTTPDate },
+    { name: 'RFC 2822', test: RFC2822_DATE, parse: parseRFC2822 },
     {
       name: 'SQL / Log datetime',
       test: /^\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2}(:\d{2}([.,]\d+)?)?$/,
@@ -336,7 +691,7 @@
     {
       name: 'Date (YYYY-MM-DD)',
       test: /^\d{4}-\d{2}-\d{2}$/,
-      parse: (s) => new Date(s + 'T00:00:00Z'),
+      parse: (s) => fromInputZone(new Date(s + 'T00:00:00Z')),
     },
     {
       name: 'Date (YYYYMMDD)',
@@ -344,12 +699,12 @@
       parse: parseCompactDate,
     },
     {
-      name: dateFormat === 'us' ? 'Date (MM/DD/YYYY)' : 'Date (DD/MM/YYYY)',
+      names: { us: 'Date (MM/DD/YYYY)', eu: 'Date (DD/MM/YYYY)' },
       test: /^\d{1,2}\/\d{1,2}\/\d{4}$/,
       parse: parseSlashDate,
     },
     {
-      name: dateFormat === 'us' ? 'Datetime (MM/DD/YYYY HH:mm)' : 'Datetime (DD/MM/YYYY HH:mm)',
+      names: { us: 'Datetime (MM/DD/YYYY HH:mm)', eu: 'Datetime (DD/MM/YYYY HH:mm)' },
       test: /^\d{1,2}\/\d{1,2}\/\d{4}\s+\d{1,2}:\d{2}(:\d{2})?$/,
       parse: parseSlashDateTime,
     },
@@ -373,7 +728,7 @@
       test: /^\d{1,2}\s+[A-Za-z]{3,}\s+\d{4}$/,
       parse: (s) => {
         const d = new Date(s + ' UTC');
-        return isNaN(d.getTime()) ? null : d;
+        return isNaN(d.getTime()) ? null : fromInputZone(d);
       },
     },
     {
@@ -381,49 +736,481 @@
       test: /^[A-Za-z]{3,}\s+\d{1,2},?\s+\d{4}(\s+\d{1,2}:\d{2}(:\d{2})?\s*(AM|PM)?)?$/i,
       parse: parseLocaleDate,
     },
+    {
+      name: 'Common Log Format',
+      test: /^\[?\d{1,2}\/[A-Za-z]{3}\/\d{4}:\d{2}:\d{2}:\d{2}\s+[+-]\d{4}\]?$/,
+      parse: parseCommonLog,
+    },
+    {
+      name: 'Syslog (RFC 3164)',
+      test: /^[A-Za-z]{3}\s+\d{1,2}\s+\d{2}:\d{2}:\d{2}(\.\d+)?$/,
+      parse: parseSyslog,
+    },
+    {
+      name: 'journald',
+      test: /^[A-Za-z]{3}\s+\d{4}-\d{2}-\d{2}\s+\d{2}:\d{2}:\d{2}(\.\d+)?(\s+(UTC|GMT))?$/,
+      parse: parseJournald,
+    },
     {
       name: 'Time only',
       test: /^\d{1,2}:\d{2}(:\d{2})?\s*(AM|PM)?$/i,
       parse: parseTimeOnly,
     },
+    {
+      name: 'SQL literal',
+      test: /'|^(to_timestamp|from_unixtime)\s*\(/i,
+      parse: parseSQLLiteral,
+    },
+    {
+      name: 'HTTP header',
+      test: /^(Date|Expires|Last-Modified|If-Modified-Since|If-Unmodified-Since)\s*:|expires\s*=/i,
+      parse: parseHeader,
+    },
+    { name: 'Protobuf Timestamp', test: PROTOBUF_TIMESTAMP, parse: parseProtobufTimestamp },
+    { name: 'MongoDB $date', test: MONGO_DATE, parse: parseMongoDate },
+    { name: 'BSON Timestamp', test: BSON_TIMESTAMP, parse: parseBSONTimestamp },
+    { name: 'JWT', test: /^(Authorization:\s*)?(Bearer\s+)?eyJ[\w-]*\.[\w-]+\.[\w-]*$/, parse: parseJWT },
+    { name: 'Cron', test: /^((CRON_)?TZ=\S+\s+)?(@[a-z]+|[\w*?,/#-]+(\s+[\w*?,/#-]+){4,6})$/i, parse: parseCron },
+    {
+      name: 'UUID',
+      test: /^(urn:uuid:|\{)?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?$/i,
+      parse: parseUUID,
+    },
+    { name: 'ULID', test: /^[0-7][0-9A-HJKMNP-TV-Z]{25}$/i, parse: parseULID },
+    { name: 'ObjectId', test: /^([0-9a-f]{24}|ObjectId\(\s*["']?[0-9a-f]{24}["']?\s*\))$/i, parse: parseObjectId },
+    { name: 'KSUID', test: /^[0-9A-Za-z]{27}$/, parse: parseKSUID },
+    {
+      name: 'Snowflake',
+      test: /^(snowflake|twitter|discord|instagram|mastodon|sonyflake):\s*\d{1,20}$/i,
+      parse: parsePrefixedSnowflake,
+    },
+    {
+      // Any of the above followed by an abbreviation, IANA name or [Zone]
+      name: 'Zoned',
+      test: /(\s[A-Za-z][\w/+-]*|\[[^\]]+\])$/,
+      parse: (s) => {
+        const r = parseZoned(s);
+        return r && { ...r, detail: r.base + ' ' + r.detail };
+      },
+    },
   ];
 
+  // Trailing "+ 3h15m" / "- P1DT2H" terms; the operator needs a space before it
+  // so negative epochs and offsets like "+0000" stay part of the timestamp.
+  const ARITHMETIC_TERM = /\s+([+-])\s*(P[\dYMWDTHS.,]+|(?:\d+\s*[a-z]+\s*)+?)$/i;
+
   function parseTimestamp(input) {
-    const trimmed = input.trim();
-    if (!trimmed) return { date: null, format: null };
+    let base = input.trim();
+    const terms = [];
+    let m;
+    while ((m = base.match(ARITHMETIC_TERM))) {
+      const dur = parseDuration(m[2].trim());
+      if (!dur) break;
+      terms.unshift({ sign: m[1], dur });
+      base = base.slice(0, m.index).trim();
+    }
+
+    const result = detectFormat(base);
+    if (!result.date || !terms.length) return result;
+
+    // Applied left to right; calendar units follow the selected timezone
+    let date = result.date;
+    for (const t of terms) {
+      const signed = {};
+      for (const [k, v] of Object.entries(t.dur)) signed[k] = t.sign === '-' ? -v : v;
+      date = addDuration(date, signed, currentTimezone);
+    }
+    result.date = date;
+    result.arithmetic = terms.map((t) => (t.sign === '-' ? '− ' : '+ ') + describeDuration(t.dur)).join(' ');
+    return result;
+  }
+
+  // Readings further than this from now (in years) rank below the rest
+  const PLAUSIBLE_YEARS = [-40, 2];
+
+  const UNIX_SCALES = [
+    ['Unix (s)', 1000000000n],
+    ['Unix (ms)', 1000000n],
+    ['Unix (\u00b5s)', 1000n],
+    ['Unix (ns)', 1n],
+  ];
 
-    for (const fmt of FORMATS) {
-      // Refresh the slash-date format name dynamically
-      if (fmt.parse === parseSlashDate) {
-        fmt.name = dateFormat === 'us' ? 'Date (MM/DD/YYYY)' : 'Date (DD/MM/YYYY)';
-      } else if (fmt.parse === parseSlashDateTime) {
-        fmt.name = dateFormat === 'us' ? 'Datetime (MM/DD/YYYY HH:mm)' : 'Datetime (DD/MM/YYYY HH:mm)';
-      }
-      if (fmt.test.test(trimmed)) {
-        const d = fmt.parse(trimmed);
-        if (d && !isNaN(d.getTime())) {
-          return { date: d, format: fmt.name };
+  function collectReadings(trimmed) {
+    // Every format that parses the input, in FORMATS order with the input
+    // patterns around it; a reading of an instant already found is dropped
+    const readings = [];
+    const read = (name, parse) => {
+      // Parsers return a Date, or { date, detail } when they can say more
+      lastWallClock = null;
+      const r = parse();
+      const d = r instanceof Date ? r : r && r.date;
+      if (!d || isNaN(d.getTime())) return;
+      const extra = r instanceof Date ? {} : r;
+      const nanos = extra.nanos || 0;
+      if (readings.some((x) => x.date.getTime() === d.getTime() && x.nanos === nanos)) return;
+      readings.push({
+        id: name,
+        date: d,
+        format: extra.detail ? name + ': ' + extra.detail : name,
+        nanos,
+        wallClock: lastWallClock,
+        zoneChoice: extra.zoneChoice || null,
+        warning: extra.warning || null,
+      });
+    };
+
+    const chain = [...inputDetectors.filter((d) => d.first), ...FORMATS, ...inputDetectors.filter((d) => !d.first)];
+    for (const fmt of chain) {
+      if (!fmt.test.test(trimmed)) continue;
+      if (fmt.names) {
+        // Slash dates: the preferred order, then the other one
+        const saved = dateFormat;
+        for (const df of [saved, saved === 'us' ? 'eu' : 'us']) {
+          dateFormat = df;
+          try {
+            read(fmt.names[df], () => fmt.parse(trimmed));
+          } finally {
+            dateFormat = saved;
+          }
         }
+      } else {
+        read(fmt.name, () => fmt.parse(trimmed));
       }
     }
-    return { date: null, format: null };
+
+    // A bare number may count from an epoch whose values typically have that
+    // many digits, or be in another Unix unit than its digit count says
+    const number = trimmed.match(/^(\d+)(\.\d+)?$/);
+    if (number) {
+      const digits = number[1].length;
+      for (const e of EPOCHS) {
+        if (digits >= e.digits[0] && digits <= e.digits[1]) read(e.label, () => fromEpochCount(e, trimmed));
+      }
+    }
+    // Snowflake IDs are 64-bit, and present-day ones run to 17-20 digits
+    if (/^\d{15,20}$/.test(trimmed)) read('Snowflake', () => parseSnowflake(trimmed, snowflakeConfig));
+    if (/^-?\d+$/.test(trimmed)) {
+      for (const [name, scale] of UNIX_SCALES) read(name, () => fromEpochNanos(BigInt(trimmed) * scale));
+    }
+    return readings;
+  }
+
+  function inputShape(text) {
+    // "03/04/2024" and "12/31/1999" share a shape, so one pick covers both
+    return text.replace(/\d/g, '9').replace(/[a-z]/gi, 'a');
+  }
+
+  function isPlausible(date) {
+    const years = (date.getTime() - Date.now()) / (365.25 * 86400000);
+    return years >= PLAUSIBLE_YEARS[0] && years <= PLAUSIBLE_YEARS[1];
+  }
+
+  function detectFormat(trimmed) {
+    if (!trimmed) return { date: null, format: null };
+    const readings = collectReadings(trimmed);
+    if (!readings.length) return { date: null, format: null };
+
+    // The reading picked for this shape leads, then plausible dates; the sort
+    // is stable, so FORMATS order breaks ties
+    const shape = inputShape(trimmed);
+    const rank = new Map(readings.map((r) => [r, r.id === readingPicks[shape] ? 0 : isPlausible(r.date) ? 1 : 2]));
+    readings.sort((a, b) => rank.get(a) - rank.get(b));
+    const top = readings[0];
+    const offered = readings.filter((r) => r === top || rank.get(r) < 2).slice(0, 5);
+    return {
+      ...top,
+      readingChoice: offered.length > 1 ? { shape, readings: offered, picked: top.id } : null,
+    };
+  }
+
+  // ── Intervals ───────────────────────────────────────────
+
+  // ISO 8601 interval sides: a date/datetime or a duration
+  const ISO_INTERVAL_SIDE = /^([+-]?\d{4}-\d{2}-\d{2}|\d{8}T|P)/i;
+
+  function parseInterval(s) {
+    // "A .. B", "A to B", or ISO 8601 "start/end", "start/P1M", "P1M/end".
+    // Each side goes through the normal detectors, so formats may differ.
+    const trimmed = s.trim();
+    let sides = trimmed.split(/\s*\.\.\s*|\s+to\s+/i);
+    if (sides.length !== 2) {
+      sides = trimmed.split('/');
+      if (sides.length !== 2 || !sides.every((side) => ISO_INTERVAL_SIDE.test(side))) return null;
+    }
+    const [left, right] = sides.map((side) => side.trim());
+    const leftDur = ISO_DURATION.test(left) ? parseDuration(left) : null;
+    const rightDur = ISO_DURATION.test(right) ? parseDuration(right) : null;
+    if (leftDur && rightDur) return null;
+
+    if (rightDur) {
+      const a = parseTimestamp(left);
+      if (!a.date) return null;
+      const nanos = a.nanos || 0;
+      return { start: a.date, end: addDuration(a.date, rightDur, currentTimezone), startNanos: nanos, endNanos: nanos, format: a.format + ' → ISO 8601 duration' };
+    }
+    if (leftDur) {
+      const b = parseTimestamp(right);
+      if (!b.date) return null;
+      const negated = {};
+      for (const [k, v] of Object.entries(leftDur)) negated[k] = -v;
+      const nanos = b.nanos || 0;
+      return { start: addDuration(b.date, negated, currentTimezone), end: b.date, startNanos: nanos, endNanos: nanos, format: 'ISO 8601 duration → ' + b.format };
+    }
+    const a = parseTimestamp(left);
+    const b = parseTimestamp(right);
+    if (!a.date || !b.date) return null;
+    return { start: a.date, end: b.date, startNanos: a.nanos || 0, endNanos: b.nanos || 0, format: a.format + ' → ' + b.format };
+  }
+
+  // ── Relative expressions ────────────────────────────────
+
+  const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  // Unit words → duration keys understood by addDuration
+  const RELATIVE_UNITS = {
+    ms: 'milliseconds', msec: 'milliseconds', msecs: 'milliseconds',
+    millisecond: 'milliseconds', milliseconds: 'milliseconds',
+    s: 'seconds', sec: 'seconds', secs: 'seconds', second: 'seconds', seconds: 'seconds',
+    m: 'minutes', min: 'minutes', mins: 'minutes', minute: 'minutes', minutes: 'minutes',
+    h: 'hours', hr: 'hours', hrs: 'hours', hour: 'hours', hours: 'hours',
+    d: 'days', day: 'days', days: 'days',
+    w: 'weeks', wk: 'weeks', wks: 'weeks', week: 'weeks', weeks: 'weeks',
+    mo: 'months', mos: 'months', month: 'months', months: 'months',
+    q: 'quarters', quarter: 'quarters', quarters: 'quarters',
+    y: 'years', yr: 'years', yrs: 'years', year: 'years', years: 'years',
+  };
+
+  function weekdayIndex(word) {
+    const alias = { tues: 2, thur: 4, thurs: 4 };
+    if (word in alias) return alias[word];
+    return WEEKDAY_NAMES.findIndex((n) => {
+      const name = n.toLowerCase();
+      return word === name || word === name.slice(0, 3);
+    });
   }
 
   function parseRelativeInput(s) {
-    const keyword = s.toLowerCase().trim();
+    // "2 hours ago", "in 3 days", "+1h30m", "next monday 9am", "tomorrow at noon",
+    // "start of week", ... Tokens apply left to right to a cursor that starts at now.
+    // Day boundaries are taken in the selected timezone.
+    const src = s.toLowerCase().replace(/,/g, ' ').replace(/\s+/g, ' ').trim();
+    const tz = currentTimezone;
     const now = new Date();
-    if (keyword === 'now' || keyword === 'today') return now;
-    if (keyword === 'yesterday') return new Date(now.getTime() - 86400000);
-    if (keyword === 'tomorrow') return new Date(now.getTime() + 86400000);
-    return null;
+    let cursor = now;
+    let pos = 0;
+    let time = null; // last explicit time of day
+    let anchored = false; // a bare time of day is left to the "Time only" format
+    let wallClock = false;
+    const phrases = [];
+
+    const eat = (re) => {
+      re.lastIndex = pos;
+      const m = re.exec(src);
+      if (m) pos = re.lastIndex;
+      return m;
+    };
+
+    const readAmounts = () => {
+      const dur = {};
+      let found = false;
+      for (;;) {
+        const start = pos;
+        const m = eat(/\s*(?:and\s+)?(\d+|an?|one)\s*([a-z]+)/y);
+        if (!m || !RELATIVE_UNITS[m[2]]) {
+          pos = start;
+          return found ? dur : null;
+        }
+        const key = RELATIVE_UNITS[m[2]];
+        dur[key] = (dur[key] || 0) + (/\d/.test(m[1]) ? parseInt(m[1], 10) : 1);
+        found = true;
+      }
+    };
+
+    const shift = (dur, sign) => {
+      const signed = {};
+      for (const [k, v] of Object.entries(dur)) signed[k] = sign * v;
+      cursor = addDuration(cursor, signed, tz);
+      if (isCalendarDuration(dur)) wallClock = true;
+    };
+
+    const setDay = (base, days) => {
+      const p = getPartsInTz(base, tz);
+      const t = time || { hour: 0, minute: 0, second: 0 };
+      cursor = zonedToDate({ year: p.year, month: p.month, day: p.day + days, ...t }, tz);
+      anchored = true;
+      wallClock = true;
+    };
+
+    const setTime = (hour, minute, second) => {
+      if (hour > 23 || minute > 59 || second > 59) return false;
+      const p = getPartsInTz(cursor, tz);
+      time = { hour, minute, second };
+      cursor = zonedToDate({ year: p.year, month: p.month, day: p.day, ...time }, tz);
+      wallClock = true;
+      phrases.push('at ' + String(hour).padStart(2, '0') + ':' + String(minute).padStart(2, '0') +
+        (second ? ':' + String(second).padStart(2, '0') : ''));
+      return true;
+    };
+
+    while (pos < src.length) {
+      eat(/\s*(?:and\s+)?/y);
+      if (pos >= src.length) break;
+      let m;
+      let dur;
+      if (eat(/now\b/y)) {
+        cursor = new Date(now);
+        anchored = true;
+        phrases.push('now');
+      } else if ((m = eat(/(today|yesterday|tomorrow)\b/y))) {
+        setDay(now, { today: 0, yesterday: -1, tomorrow: 1 }[m[1]]);
+        phrases.push(m[1]);
+      } else if ((m = eat(/(?:at\s+)?(noon|midday|midnight)\b/y))) {
+        setTime(m[1] === 'midnight' ? 0 : 12, 0, 0);
+        anchored = true;
+      } else if ((m = eat(/(start|beginning|end)\s+of\s+(?:the\s+)?(?:(this|next|last|previous)\s+)?([a-z]+)\b/y))) {
+        const key = RELATIVE_UNITS[m[3]];
+        if (!key || key === 'seconds' || key === 'milliseconds') return null;
+        if (m[2] === 'next') shift({ [key]: 1 }, 1);
+        else if (m[2] === 'last' || m[2] === 'previous') shift({ [key]: 1 }, -1);
+        cursor = startOfUnit(cursor, key, tz);
+        if (m[1] === 'end') cursor = new Date(addDuration(cursor, { [key]: 1 }, tz).getTime() - 1);
+        anchored = true;
+        wallClock = true;
+        phrases.push((m[1] === 'end' ? 'end' : 'start') + ' of ' + (m[2] ? m[2] + ' ' : '') + UNIT_SINGULAR[key]);
+      } else if ((m = eat(/(last|next|this|previous|coming)\s+([a-z]+)\b/y))) {
+        const wd = weekdayIndex(m[2]);
+        const key = RELATIVE_UNITS[m[2]];
+        const dir = m[1] === 'next' || m[1] === 'coming' ? 1 : m[1] === 'this' ? 0 : -1;
+        if (wd >= 0) {
+          const today = getPartsInTz(cursor, tz);
+          const dow = new Date(Date.UTC(today.year, today.month - 1, today.day)).getUTCDay();
+          let days;
+          if (dir > 0) days = ((wd - dow + 6) % 7) + 1;
+          else if (dir < 0) days = -(((dow - wd + 6) % 7) + 1);
+          else days = ((wd + 6) % 7) - ((dow + 6) % 7); // same ISO week
+          setDay(cursor, days);
+          phrases.push((m[1] === 'previous' ? 'last' : m[1] === 'coming' ? 'next' : m[1]) + ' ' + WEEKDAY_NAMES[wd]);
+        } else if (key) {
+          if (dir) shift({ [key]: 1 }, dir);
+          anchored = true;
+          phrases.push((dir > 0 ? 'next' : dir < 0 ? 'last' : 'this') + ' ' + UNIT_SINGULAR[key]);
+        } else {
+          return null;
+        }
+      } else if (eat(/in\s+/y)) {
+        if (!(dur = readAmounts())) return null;
+        shift(dur, 1);
+        anchored = true;
+        phrases.push('in ' + describeDuration(dur));
+      } else if ((m = eat(/([+-])\s*/y))) {
+        if (!(dur = readAmounts())) return null;
+        shift(dur, m[1] === '-' ? -1 : 1);
+        anchored = true;
+        phrases.push((m[1] === '-' ? '−' : '+') + describeDuration(dur));
+      } else if ((m = eat(/(?:at\s+)?(\d{1,2})(?::(\d{2})(?::(\d{2}))?)?\s*(am|pm)\b/y))) {
+        let h = parseInt(m[1], 10);
+        if (h < 1 || h > 12) return null;
+        if (m[4] === 'am' && h === 12) h = 0;
+        else if (m[4] === 'pm' && h !== 12) h += 12;
+        if (!setTime(h, m[2] ? parseInt(m[2], 10) : 0, m[3] ? parseInt(m[3], 10) : 0)) return null;
+      } else if ((m = eat(/(?:at\s+)?(\d{1,2}):(\d{2})(?::(\d{2}))?\b/y) || eat(/at\s+(\d{1,2})\b/y))) {
+        if (!setTime(parseInt(m[1], 10), m[2] ? parseInt(m[2], 10) : 0, m[3] ? parseInt(m[3], 10) : 0)) return null;
+      } else if ((dur = readAmounts())) {
+        if (!(m = eat(/\s*(ago|before now|from now|later|hence)\b/y))) return null;
+        shift(dur, m[1] === 'ago' || m[1] === 'before now' ? -1 : 1);
+        anchored = true;
+        phrases.push(describeDuration(dur) + (m[1] === 'ago' || m[1] === 'before now' ? ' ago' : ' from now'));
+      } else if ((m = eat(/(?:on\s+)?([a-z]+)\b/y)) && weekdayIndex(m[1]) >= 0) {
+        // Bare weekday: today if it matches, otherwise the next one
+        const wd = weekdayIndex(m[1]);
+        const today = getPartsInTz(cursor, tz);
+        const dow = new Date(Date.UTC(today.year, today.month - 1, today.day)).getUTCDay();
+        setDay(cursor, (wd - dow + 7) % 7);
+        phrases.push(WEEKDAY_NAMES[wd]);
+      } else {
+        return null;
+      }
+    }
+
+    if (!anchored) return null;
+    return { date: cursor, detail: phrases.join(' ') + (wallClock ? ' (' + tz + ')' : '') };
+  }
+
+  function fromEpochNanos(total) {
+    // BigInt nanoseconds → Date plus the sub-millisecond rest, floored for negatives
+    let ms = total / 1000000n;
+    let rest = total % 1000000n;
+    if (rest < 0n) {
+      rest += 1000000n;
+      ms -= 1n;
+    }
+    return { date: new Date(Number(ms)), nanos: Number(rest) };
+  }
+
+  function epochNanos(e) {
+    return BigInt(Date.parse(e.epoch)) * 1000000n;
+  }
+
+  function parseUnixSeconds(s) {
+    // Fractional seconds as time.time() and friends print them, exact to the
+    // nanosecond
+    const match = s.match(/^(-?)(\d+)(?:\.(\d{1,9})\d*)?$/);
+    const total = BigInt(match[2]) * 1000000000n + BigInt((match[3] || '').padEnd(9, '0'));
+    return fromEpochNanos(match[1] ? -total : total);
+  }
+
+  function fromEpochCount(e, value) {
+    // Integer maths throughout: FILETIME and tick values exceed 2^53
+    const match = value.match(/^(-?)(\d+)(?:\.(\d{1,9})\d*)?$/);
+    if (!match || (match[3] && !e.fractional)) return null;
+    let count = BigInt(match[2]) * e.unit + BigInt((match[3] || '').padEnd(9, '0')) * e.unit / 1000000000n;
+    if (match[1]) count = -count;
+    if (e.lotusBug && count < 61n * e.unit) {
+      // Serial 60 is the phantom 1900-02-29
+      if (count >= 60n * e.unit) return null;
+      count += e.unit;
+    }
+    const r = fromEpochNanos(count + epochNanos(e));
+    return e.naive ? { date: fromInputZone(r.date), nanos: r.nanos } : r;
+  }
+
+  function toEpochCount(e, date, nanos, tz) {
+    let since = BigInt(date.getTime()) * 1000000n + BigInt(nanos || 0) - epochNanos(e);
+    if (e.naive) since += BigInt(getOffsetMinutes(date, tz)) * 60000000000n;
+    if (e.lotusBug && since < 61n * e.unit) since -= e.unit;
+    if (e.fractional) {
+      // Sources that store a float keep the part below one unit
+      const abs = since < 0n ? -since : since;
+      const rest = abs % e.unit;
+      const fraction = rest ? '.' + String(rest * 1000000000n / e.unit).padStart(9, '0').replace(/0+$/, '') : '';
+      return (since < 0n ? '-' : '') + abs / e.unit + fraction;
+    }
+    let whole = since / e.unit;
+    if (since % e.unit < 0n) whole -= 1n;
+    return String(whole);
+  }
+
+  function splitFraction(s) {
+    // Date keeps three fractional digits; digits 4–9 are returned as nanos
+    const match = s.match(/[.,]\d{3}(\d+)/);
+    if (!match) return { text: s, nanos: 0 };
+    return {
+      text: s.replace(/([.,]\d{3})\d+/, '$1'),
+      nanos: parseInt(match[1].slice(0, 6).padEnd(6, '0'), 10),
+    };
   }
 
   function parseISO(s) {
-    // If no timezone indicator, assume UTC
-    const hasOffset = /Z|[+-]\d{2}:\d{2}$/i.test(s);
-    const str = hasOffset ? s : s + 'Z';
-    const d = new Date(str);
-    return isNaN(d.getTime()) ? null : d;
+    // journald short-iso writes "+0000"; Date wants "+00:00"
+    s = s.replace(/([+-]\d{2})(\d{2})$/, '$1:$2');
+    const { text, nanos } = splitFraction(s);
+    // Without a timezone indicator the wall clock is read in the input timezone
+    const hasOffset = /Z|[+-]\d{2}:\d{2}$/i.test(text);
+    const d = new Date(hasOffset ? text : text + 'Z');
+    if (isNaN(d.getTime())) return null;
+    // RFC 3339 writes -00:00 for a UTC time whose local offset is unknown
+    const detail = /-00:00$/.test(text) ? 'local offset unknown' : null;
+    return { date: hasOffset ? d : fromInputZone(d), nanos, detail };
   }
 
   function parseCompactISO(s) {
@@ -431,26 +1218,92 @@
     const iso = s.slice(0, 4) + '-' + s.slice(4, 6) + '-' + s.slice(6, 8) + 'T' +
       s.slice(9, 11) + ':' + s.slice(11, 13) + ':' + s.slice(13, 15) + 'Z';
     const d = new Date(iso);
-    return isNaN(d.getTime()) ? null : d;
+    return isNaN(d.getTime()) ? null : fromInputZone(d);
+  }
+
+  function isoWeekStart(year) {
+    // Monday of week 1, the week holding 4 January
+    const jan4 = Date.UTC(year, 0, 4);
+    return jan4 - ((new Date(jan4).getUTCDay() + 6) % 7) * 86400000;
+  }
+
+  function parseISOWeek(s) {
+    // 2024-W03-1 or 2024W031; without a weekday, the Monday
+    const match = s.match(/^(\d{4})-?W(\d{2})(?:-?([1-7]))?$/i);
+    const year = parseInt(match[1], 10);
+    const week = parseInt(match[2], 10);
+    const day = match[3] ? parseInt(match[3], 10) : 1;
+    const weeks = Math.round((isoWeekStart(year + 1) - isoWeekStart(year)) / 604800000);
+    if (week < 1 || week > weeks) return null;
+    return fromInputZone(new Date(isoWeekStart(year) + ((week - 1) * 7 + day - 1) * 86400000));
+  }
+
+  function parseOrdinal(s) {
+    // 2024-015 → 15 January
+    const year = parseInt(s.slice(0, 4), 10);
+    const day = parseInt(s.slice(5), 10);
+    if (day < 1 || day > (daysInMonth(year, 2) === 29 ? 366 : 365)) return null;
+    return fromInputZone(new Date(Date.UTC(year, 0, day)));
   }
 
   function parseCompactDate(s) {
     // 20240115 → 2024-01-15
     const iso = s.slice(0, 4) + '-' + s.slice(4, 6) + '-' + s.slice(6, 8) + 'T00:00:00Z';
     const d = new Date(iso);
-    return isNaN(d.getTime()) ? null : d;
+    return isNaN(d.getTime()) ? null : fromInputZone(d);
   }
 
   function parseSQLDatetime(s) {
     // Replace comma with dot for Java/Log4j format: 2024-01-15 10:30:00,123
-    const normalized = s.replace(',', '.').replace(' ', 'T') + 'Z';
+    const { text, nanos } = splitFraction(s);
+    const normalized = text.replace(',', '.').replace(' ', 'T') + 'Z';
     const d = new Date(normalized);
-    return isNaN(d.getTime()) ? null : d;
+    return isNaN(d.getTime()) ? null : { date: fromInputZone(d), nanos };
+  }
+
+  function wireDate(f, offsetMin) {
+    // Matched fields → { date, warning }; a null offset reads the wall clock in
+    // the input timezone. A weekday that disagrees with the date is reported.
+    const month = monthIndex(f.month);
+    if (month < 0 || f.hour > 23 || f.minute > 59 || f.second > 59) return null;
+    const wall = new Date(Date.UTC(f.year, month, f.day, f.hour, f.minute, f.second));
+    if (wall.getUTCDate() !== f.day) return null;
+    const actual = wall.getUTCDay();
+    const written = f.weekday ? RFC_DAYS.findIndex((d) => d.toLowerCase() === f.weekday.slice(0, 3).toLowerCase()) : actual;
+    return {
+      date: offsetMin === null ? fromInputZone(wall) : new Date(wall.getTime() - offsetMin * 60000),
+      warning: written === actual ? null : 'Written as ' + f.weekday + ', but that date is a ' + WEEKDAY_NAMES[actual],
+    };
   }
 
   function parseRFC2822(s) {
-    const d = new Date(s);
-    return isNaN(d.getTime()) ? null : d;
+    const m = s.match(RFC2822_DATE);
+    const zone = m[8];
+    // Date only knows the US zone names, so other abbreviations go through TZ_ABBREVS
+    if (zone && /^[A-Z]{2}/.test(zone) && !/^(GMT|UTC?)$/.test(zone)) return parseZoned(s);
+    const offset = !zone ? null : /^[+-]/.test(zone)
+      ? (zone[0] === '-' ? -1 : 1) * (parseInt(zone.slice(1, 3), 10) * 60 + parseInt(zone.slice(3), 10))
+      : 0;
+    return wireDate({ weekday: m[1], day: +m[2], month: m[3], year: +m[4], hour: +m[5], minute: +m[6], second: +(m[7] || 0) }, offset);
+  }
+
+  function parseHTTPDate(s) {
+    const m = s.match(HTTP_DATE) || s.match(COOKIE_DATE);
+    return wireDate({ weekday: m[1], day: +m[2], month: m[3], year: +m[4], hour: +m[5], minute: +m[6], second: +m[7] }, 0);
+  }
+
+  function parseRFC850(s) {
+    // A two-digit year more than 50 years ahead is the previous century (RFC 7231 7.1.1.1)
+    const m = s.match(RFC850_DATE);
+    const now = new Date().getUTCFullYear();
+    let year = now - (now % 100) + parseInt(m[4], 10);
+    if (year > now + 50) year -= 100;
+    return wireDate({ weekday: m[1], day: +m[2], month: m[3], year, hour: +m[5], minute: +m[6], second: +m[7] }, 0);
+  }
+
+  function parseAsctime(s) {
+    const m = s.match(ASCTIME_DATE);
+    return wireDate({ weekday: m[1], month: m[2], day: +m[3], hour: +m[4], minute: +m[5], second: +m[6], year: +m[7] }, 0);
   }
 
   function parseSlashDate(s) {
@@ -466,13 +1319,13 @@
     year = parseInt(parts[2], 10);
     if (month < 1 || month > 12 || day < 1 || day > 31) return null;
     const d = new Date(Date.UTC(year, month - 1, day));
-    return isNaN(d.getTime()) ? null : d;
+    return isNaN(d.getTime()) ? null : fromInputZone(d);
   }
 
   function parseLocaleDate(s) {
     // "Jan 15, 2024", "January 15, 2024 10:30 AM", "January 15 2024"
     const d = new Date(s + ' UTC');
-    return isNaN(d.getTime()) ? null : d;
+    return isNaN(d.getTime()) ? null : fromInputZone(d);
   }
 
   function parseDotDate(s) {
@@ -487,7 +1340,7 @@
     const sec = match[6] ? parseInt(match[6], 10) : 0;
     if (month < 1 || month > 12 || day < 1 || day > 31) return null;
     const d = new Date(Date.UTC(year, month - 1, day, hour, min, sec));
-    return isNaN(d.getTime()) ? null : d;
+    return isNaN(d.getTime()) ? null : fromInputZone(d);
   }
 
   function parseDashDMY(s) {
@@ -502,7 +1355,7 @@
     const sec = match[6] ? parseInt(match[6], 10) : 0;
     if (month < 1 || month > 12 || day < 1 || day > 31) return null;
     const d = new Date(Date.UTC(year, month - 1, day, hour, min, sec));
-    return isNaN(d.getTime()) ? null : d;
+    return isNaN(d.getTime()) ? null : fromInputZone(d);
   }
 
   function parseSlashYMD(s) {
@@ -517,7 +1370,7 @@
     const sec = match[6] ? parseInt(match[6], 10) : 0;
     if (month < 1 || month > 12 || day < 1 || day > 31) return null;
     const d = new Date(Date.UTC(year, month - 1, day, hour, min, sec));
-    return isNaN(d.getTime()) ? null : d;
+    return isNaN(d.getTime()) ? null : fromInputZone(d);
   }
 
   function parseSlashDateTime(s) {
@@ -538,15 +1391,51 @@
     const sec = match[6] ? parseInt(match[6], 10) : 0;
     if (month < 1 || month > 12 || day < 1 || day > 31) return null;
     const d = new Date(Date.UTC(year, month - 1, day, hour, min, sec));
-    return isNaN(d.getTime()) ? null : d;
+    return isNaN(d.getTime()) ? null : fromInputZone(d);
   }
 
-  function parseTimeOnly(s) {
-    // "10:30 AM", "22:30", "10:30:00" → today's date in UTC
+  function monthIndex(name) {
+    return RFC_MONTHS.findIndex((m) => m.toLowerCase() === name.slice(0, 3).toLowerCase());
+  }
+
+  function parseCommonLog(s) {
+    // nginx/Apache access logs: [15/Jan/2024:10:30:00 +0000]
+    const match = s.match(/(\d{1,2})\/([A-Za-z]{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2})\s+([+-])(\d{2})(\d{2})/);
+    const month = monthIndex(match[2]);
+    if (month < 0) return null;
+    const offsetMin = (match[7] === '-' ? -1 : 1) * (parseInt(match[8], 10) * 60 + parseInt(match[9], 10));
+    const wall = Date.UTC(+match[3], month, +match[1], +match[4], +match[5], +match[6]);
+    return new Date(wall - offsetMin * 60000);
+  }
+
+  function parseSyslog(s) {
+    // "Jan 15 10:30:00" carries no year: take the current one, or last year
+    // if that would put the entry more than a day in the future
+    const match = s.match(/^([A-Za-z]{3})\s+(\d{1,2})\s+(\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?$/);
+    const month = monthIndex(match[1]);
+    if (month < 0) return null;
+    const ms = match[6] ? parseInt(match[6].slice(0, 3).padEnd(3, '0'), 10) : 0;
+    const nanos = match[6] ? parseInt(match[6].slice(3, 9).padEnd(6, '0'), 10) : 0;
+    const build = (year) => fromInputZone(new Date(Date.UTC(year, month, +match[2], +match[3], +match[4], +match[5], ms)));
     const now = new Date();
-    const dateStr = now.getUTCFullYear() + '-' +
-      String(now.getUTCMonth() + 1).padStart(2, '0') + '-' +
-      String(now.getUTCDate()).padStart(2, '0');
+    let d = build(now.getUTCFullYear());
+    if (d.getTime() - now.getTime() > 86400000) d = build(now.getUTCFullYear() - 1);
+    return { date: d, nanos };
+  }
+
+  function parseJournald(s) {
+    // journalctl -o short-full: "Mon 2024-01-15 10:30:00 UTC"
+    const stripped = s.replace(/^[A-Za-z]{3}\s+/, '');
+    if (!/\s(UTC|GMT)$/.test(stripped)) return parseSQLDatetime(stripped);
+    return parseISO(stripped.replace(/\s+(UTC|GMT)$/, 'Z').replace(' ', 'T'));
+  }
+
+  function parseTimeOnly(s) {
+    // "10:30 AM", "22:30", "10:30:00" → today's date in the input timezone
+    const today = getPartsInTz(new Date(), inputTimezone);
+    const dateStr = today.year + '-' +
+      String(today.month).padStart(2, '0') + '-' +
+      String(today.day).padStart(2, '0');
 
     const upper = s.toUpperCase().trim();
     const isPM = upper.includes('PM');
@@ -567,34 +1456,854 @@
       String(m).padStart(2, '0') + ':' +
       String(sec).padStart(2, '0') + 'Z';
     const d = new Date(iso);
-    return isNaN(d.getTime()) ? null : d;
+    return isNaN(d.getTime()) ? null : fromInputZone(d);
   }
 
-  // ── Timezone helpers ────────────────────────────────────
+  // ── Zone designators ────────────────────────────────────
 
-  function getPartsInTz(date, tz) {
-    const f = new Intl.DateTimeFormat('en-US', {
-      timeZone: tz,
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-      hour12: false,
-    });
-    const p = {};
-    f.formatToParts(date).forEach((part) => {
-      if (part.type !== 'literal') p[part.type] = part.value;
-    });
-    return {
-      year: parseInt(p.year, 10),
-      month: parseInt(p.month, 10),
-      day: parseInt(p.day, 10),
-      hour: parseInt(p.hour, 10) % 24,
-      minute: parseInt(p.minute, 10),
-      second: parseInt(p.second, 10),
-    };
+  function splitEpochSeconds(date, nanos) {
+    // → { total, seconds, nanos }: BigInt nanoseconds, whole seconds floored
+    // for negatives, and the non-negative nanoseconds past them
+    const total = BigInt(date.getTime()) * 1000000n + BigInt(nanos || 0);
+    let seconds = total / 1000000000n;
+    let rest = total % 1000000000n;
+    if (rest < 0n) {
+      rest += 1000000000n;
+      seconds -= 1n;
+    }
+    return { total, seconds, nanos: Number(rest) };
+  }
+
+  const OFFSET_SUFFIX = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+  function lookupZone(name) {
+    // An abbreviation may name several zones; IANA names are canonicalised
+    const zones = TZ_ABBREVS[name.toLowerCase()];
+    if (zones) return { abbr: name.toUpperCase(), zones };
+    if (!name.includes('/') || !isValidTimezone(name)) return null;
+    return { abbr: null, zones: [new Intl.DateTimeFormat('en-US', { timeZone: name }).resolvedOptions().timeZone] };
+  }
+
+  function withInputZone(tz, fn) {
+    const saved = inputTimezone;
+    inputTimezone = tz;
+    try {
+      return fn();
+    } finally {
+      inputTimezone = saved;
+    }
+  }
+
+  function abbrevOffset(abbr, zone, year) {
+    // An abbreviation pins standard or daylight time: "PST" stays −08:00 in July.
+    // Names the browser can't produce fall back on the ...ST/...DT convention.
+    const samples = [0, 6].map((month) => new Date(Date.UTC(year, month, 15)));
+    const named = samples.find((sample) => getTzAbbrev(sample, zone) === abbr);
+    if (named) return getOffsetMinutes(named, zone);
+    const offsets = samples.map((sample) => getOffsetMinutes(sample, zone));
+    if (/ST$/.test(abbr)) return Math.min(...offsets);
+    if (/DT$/.test(abbr)) return Math.max(...offsets);
+    return null;
+  }
+
+  function parseZoned(s) {
+    // "2024-01-15 10:30 PST", "... Europe/Berlin", RFC 9557 "...+01:00[Europe/Paris]"
+    const match = s.match(/^(.+?)(?:\[([^\]]+)\]|\s+([A-Za-z][\w/+-]*))$/);
+    if (!match) return null;
+    const base = match[1].trim();
+    const found = lookupZone(match[2] || match[3]);
+    if (!found || /^-?\d+$/.test(base)) return null;
+    const plain = detectFormat(base);
+    if (!plain.date) return null;
+
+    if (OFFSET_SUFFIX.test(base)) {
+      // Only the bracketed form may carry both; the offset fixes the instant
+      if (!match[2]) return null;
+      const zone = found.zones[0];
+      const o = base.match(OFFSET_SUFFIX)[1];
+      const written = /z/i.test(o) ? 0 : (o[0] === '-' ? -1 : 1) * (parseInt(o.slice(1, 3), 10) * 60 + parseInt(o.slice(-2), 10));
+      const actual = getOffsetMinutes(plain.date, zone);
+      return {
+        date: plain.date,
+        nanos: plain.nanos,
+        base: plain.format,
+        detail: 'in ' + zone,
+        warning: written === actual ? null : 'Offset ' + formatOffsetHHMM(written) + ' does not match ' + zone +
+          ' (' + formatOffsetHHMM(actual) + ') at that time; using the offset',
+      };
+    }
+
+    // One reading per distinct instant: CET in Berlin and in Paris is the same
+    const naive = withInputZone('UTC', () => detectFormat(base).date);
+    const readings = [];
+    for (const zone of found.zones) {
+      const offset = found.abbr === null ? null : abbrevOffset(found.abbr, zone, naive.getUTCFullYear());
+      lastWallClock = null;
+      const date = offset === null
+        ? withInputZone(zone, () => detectFormat(base).date)
+        : new Date(naive.getTime() - offset * 60000);
+      if (!readings.some((r) => r.date.getTime() === date.getTime())) {
+        readings.push({ zone, date, offset: (naive.getTime() - date.getTime()) / 60000, wallClock: lastWallClock });
+      }
+    }
+    const picked = readings.find((r) => r.zone === zonePicks[found.abbr]) || readings[0];
+    lastWallClock = picked.wallClock;
+    return {
+      date: picked.date,
+      nanos: plain.nanos,
+      base: plain.format,
+      detail: 'in ' + (found.abbr ? found.abbr + ' (' + picked.zone + ')' : picked.zone),
+      zoneChoice: readings.length > 1 ? { abbr: found.abbr, readings, picked: picked.zone } : null,
+    };
+  }
+
+  // Database literals: the quoted timestamp, plus ClickHouse's zone argument.
+  // Type names, precisions and Oracle format masks are skipped.
+  const SQL_LITERALS = [
+    /^(?:TIMESTAMP(?:TZ|_[LNT]TZ)?|DATETIME(?:64)?|DATE)(?:\s*\(\d\))?(?:\s+WITH(?:OUT)?\s+(?:LOCAL\s+)?TIME\s+ZONE)?\s*'([^']*)'$/i,
+    /^CAST\s*\(\s*'([^']*)'\s+AS\s+[\w\s()]+\)$/i,
+    /^'([^']*)'(?:\s*::\s*[\w\s()]+)?$/,
+    /^TO_TIMESTAMP(?:_TZ)?\s*\(\s*'([^']*)'(?:\s*,\s*'[^']*')?\s*\)$/i,
+    /^toDateTime(?:64)?\s*\(\s*'([^']*)'(?:\s*,\s*\d)?(?:\s*,\s*'([^']+)')?\s*\)$/i,
+  ];
+  const SQL_EPOCH_LITERAL = /^(?:to_timestamp|from_unixtime)\s*\(\s*(-?\d+(?:\.\d{1,9})?)\s*\)$/i;
+
+  function parseSQLLiteral(s) {
+    const epoch = s.match(SQL_EPOCH_LITERAL);
+    if (epoch) {
+      const [whole, fraction = ''] = epoch[1].split('.');
+      return fromEpochNanos(BigInt(whole + fraction.padEnd(9, '0')));
+    }
+    const m = SQL_LITERALS.map((re) => s.match(re)).find(Boolean);
+    if (!m || (m[2] && !isValidTimezone(m[2]))) return null;
+    // "2024-01-15 10:30:00+02" and "... +02:00" become ISO 8601
+    const text = m[1].trim().replace(
+      /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)\s*(Z|[+-]\d{2})(?::?(\d{2}))?$/i,
+      (all, day, time, hours, minutes) => day + 'T' + time + (/z/i.test(hours) ? 'Z' : hours + ':' + (minutes || '00')));
+    return m[2] ? withInputZone(m[2], () => readInner(text)) : readInner(text);
+  }
+
+  function readInner(text) {
+    // Wrapped inputs read their inner text like any other input and pass on
+    // what it found; the inner format becomes the detail
+    const plain = detectFormat(text);
+    if (!plain.date) return null;
+    lastWallClock = plain.wallClock;
+    return { date: plain.date, nanos: plain.nanos, detail: plain.format, zoneChoice: plain.zoneChoice, warning: plain.warning };
+  }
+
+  const HTTP_HEADER = /^(Date|Expires|Last-Modified|If-Modified-Since|If-Unmodified-Since)\s*:\s*(.+)$/i;
+  const COOKIE_EXPIRES = /(?:^|;)\s*expires\s*=\s*([^;]+)/i;
+
+  function parseHeader(s) {
+    // "Last-Modified: <date>", or a Set-Cookie line with an Expires attribute
+    const header = s.match(HTTP_HEADER);
+    const cookie = !header && s.match(COOKIE_EXPIRES);
+    const r = header ? readInner(header[2].trim()) : cookie ? readInner(cookie[1].trim()) : null;
+    return r && { ...r, detail: (header ? header[1] : 'Set-Cookie Expires') + ', ' + r.detail };
+  }
+
+  function parseProtobufTimestamp(s) {
+    // JSON, or the text format Go and C++ print: seconds:1705312200 nanos:5
+    const m = s.match(PROTOBUF_TIMESTAMP);
+    return fromEpochNanos(BigInt(m[1]) * 1000000000n + BigInt(m[2] || 0));
+  }
+
+  function parseMongoDate(s) {
+    // Relaxed and canonical Extended JSON, and the shell's ISODate(); MongoDB
+    // reads a string without an offset as UTC
+    const m = s.match(MONGO_DATE);
+    const text = m[1] || m[4];
+    if (text) return withInputZone('UTC', () => readInner(text));
+    return new Date(Number(m[2] || m[3]));
+  }
+
+  function parseBSONTimestamp(s) {
+    // Replication timestamps: seconds, then an ordinal within that second
+    const m = s.match(BSON_TIMESTAMP);
+    return { date: new Date(parseInt(m[1] || m[3], 10) * 1000), detail: 'increment ' + (m[2] || m[4]) };
+  }
+
+  // ── Identifiers ─────────────────────────────────────────
+
+  const CROCKFORD = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+  const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+  const UUID_EPOCH = 122192928000000000n; // 100 ns intervals from 1582-10-15 to 1970-01-01
+  const KSUID_EPOCH = 1400000000;
+
+  // The timestamp counts `unit` ms from `epoch`; the layout lists the fields
+  // below it, highest first, as name:bits
+  const SNOWFLAKE_PRESETS = {
+    twitter: { label: 'Twitter / X', epoch: 1288834974657, unit: 1, layout: 'datacenter:5 worker:5 sequence:12' },
+    discord: { label: 'Discord', epoch: 1420070400000, unit: 1, layout: 'worker:5 process:5 increment:12' },
+    instagram: { label: 'Instagram', epoch: 1314220021721, unit: 1, layout: 'shard:13 sequence:10' },
+    mastodon: { label: 'Mastodon', epoch: 0, unit: 1, layout: 'sequence:16' },
+    sonyflake: { label: 'Sonyflake', epoch: 1409529600000, unit: 10, layout: 'sequence:8 machine:16' },
+  };
+
+  function snowflakeLayout(config) {
+    // → { label, epoch, unit, fields: [[name, bits]] } or { error }
+    const preset = SNOWFLAKE_PRESETS[config.preset];
+    const spec = preset || { label: 'custom', epoch: config.epoch, unit: 1, layout: config.layout };
+    if (!Number.isSafeInteger(spec.epoch)) return { error: 'The epoch must be a whole number of milliseconds' };
+    const fields = [];
+    for (const part of String(spec.layout).trim().split(/[\s,]+/).filter(Boolean)) {
+      const m = part.match(/^([A-Za-z]\w*):(\d{1,2})$/);
+      if (!m) return { error: 'Write each field as name:bits, not ' + part };
+      fields.push([m[1], parseInt(m[2], 10)]);
+    }
+    if (fields.reduce((sum, [, bits]) => sum + bits, 0) > 62) return { error: 'The fields leave no room for a timestamp' };
+    return { ...spec, fields };
+  }
+
+  function parseSnowflake(s, config) {
+    const layout = snowflakeLayout(config);
+    if (layout.error) return null;
+    let rest = BigInt(s);
+    if (rest >= 1n << 64n) return null;
+    // Fields sit below the timestamp, the last one lowest
+    const values = [];
+    for (const [name, bits] of [...layout.fields].reverse()) {
+      values.unshift(name + ' ' + (rest & ((1n << BigInt(bits)) - 1n)));
+      rest >>= BigInt(bits);
+    }
+    return {
+      date: new Date(layout.epoch + Number(rest) * layout.unit),
+      detail: [layout.label, ...values].join(', '),
+    };
+  }
+
+  function parsePrefixedSnowflake(s) {
+    // "discord:…" uses that preset; "snowflake:…" the configured layout
+    const prefix = s.slice(0, s.indexOf(':')).toLowerCase();
+    const config = SNOWFLAKE_PRESETS[prefix] ? { preset: prefix } : snowflakeConfig;
+    return parseSnowflake(s.slice(s.indexOf(':') + 1).trim(), config);
+  }
+
+  function parseUUID(s) {
+    // Time-based versions only: v1 and v6 count 100 ns from 1582, v7 ms from 1970
+    const hex = s.replace(/^urn:uuid:|[{}-]/gi, '').toLowerCase();
+    const version = hex[12];
+    if ((parseInt(hex[16], 16) & 0xc) !== 0x8) return null;
+    if (version === '7') {
+      return { date: new Date(parseInt(hex.slice(0, 12), 16)), detail: 'v7, rand_a 0x' + hex.slice(13, 16) };
+    }
+    if (version !== '1' && version !== '6') return null;
+    const ticks = BigInt('0x' + (version === '1' ? hex.slice(13, 16) + hex.slice(8, 12) + hex.slice(0, 8) : hex.slice(0, 12) + hex.slice(13, 16)));
+    const node = hex.slice(20).match(/../g).join(':');
+    return {
+      ...fromEpochNanos((ticks - UUID_EPOCH) * 100n),
+      detail: 'v' + version + ', clock sequence ' + (parseInt(hex.slice(16, 20), 16) & 0x3fff) + ', node ' + node +
+        (parseInt(hex[21], 16) & 1 ? ' (random)' : ''),
+    };
+  }
+
+  function parseULID(s) {
+    // 48-bit ms in the first 10 Crockford base32 characters, then 80 random bits
+    let ms = 0;
+    for (const c of s.slice(0, 10).toUpperCase()) ms = ms * 32 + CROCKFORD.indexOf(c);
+    return { date: new Date(ms), detail: 'random ' + s.slice(10).toUpperCase() };
+  }
+
+  function parseObjectId(s) {
+    // 4-byte seconds, 5 random bytes per process, 3-byte counter
+    const hex = s.match(/[0-9a-f]{24}/i)[0].toLowerCase();
+    return {
+      date: new Date(parseInt(hex.slice(0, 8), 16) * 1000),
+      detail: 'random ' + hex.slice(8, 18) + ', counter ' + parseInt(hex.slice(18), 16),
+    };
+  }
+
+  function parseKSUID(s) {
+    // 27 base62 characters: 4-byte seconds from 2014-05-13, then a 16-byte payload
+    let value = 0n;
+    for (const c of s) value = value * 62n + BigInt(BASE62.indexOf(c));
+    if (value >= 1n << 160n) return null;
+    return {
+      date: new Date((Number(value >> 128n) + KSUID_EPOCH) * 1000),
+      detail: 'payload ' + (value & ((1n << 128n) - 1n)).toString(16).padStart(32, '0'),
+    };
+  }
+
+  function formatULIDBound(date) {
+    // Lowest ULID of that millisecond, for id >= bound range queries
+    let ms = date.getTime();
+    if (ms < 0 || ms >= 2 ** 48) return '\u2014';
+    let text = '';
+    for (let i = 0; i < 10; i++) {
+      text = CROCKFORD[ms % 32] + text;
+      ms = Math.floor(ms / 32);
+    }
+    return text + '0'.repeat(16);
+  }
+
+  function formatUUIDv7Bound(date) {
+    const ms = date.getTime();
+    if (ms < 0 || ms >= 2 ** 48) return '\u2014';
+    const hex = ms.toString(16).padStart(12, '0');
+    return hex.slice(0, 8) + '-' + hex.slice(8) + '-7000-8000-000000000000';
+  }
+
+  function formatObjectIdBound(date) {
+    const seconds = Math.floor(date.getTime() / 1000);
+    if (seconds < 0 || seconds >= 2 ** 32) return '\u2014';
+    return seconds.toString(16).padStart(8, '0') + '0'.repeat(16);
+  }
+
+  // ── Tokens ──────────────────────────────────────────────
+
+  const JWT = /^(?:Authorization:\s*)?(?:Bearer\s+)?(eyJ[\w-]*)\.([\w-]+)\.([\w-]*)$/;
+  const NUMERIC_DATE_CLAIMS = ['iat', 'nbf', 'auth_time', 'exp'];
+  const CLAIM_FORMATS = ['unix-ms', 'iso', 'iso-tz', 'rfc', 'human']; // OUTPUT_FORMATS columns in the claims panel
+
+  function decodeSegment(segment) {
+    try {
+      const b64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+      const bytes = Uint8Array.from(atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4)), (c) => c.charCodeAt(0));
+      return JSON.parse(new TextDecoder().decode(bytes));
+    } catch {
+      return null;
+    }
+  }
+
+  function redactJWT(s) {
+    // Header and payload are all the claims need; without its signature a
+    // token is no longer a credential
+    return JWT.test(s) ? s.replace(/[\w-]*$/, '') : s;
+  }
+
+  function decodeJWT(s) {
+    // → { header, payload, claims: [{ name, value, date }] } or null. Decoded
+    // locally; the signature is not checked.
+    const m = s.match(JWT);
+    if (!m) return null;
+    const header = decodeSegment(m[1]);
+    const payload = decodeSegment(m[2]);
+    if (!header || typeof header.alg !== 'string' || !payload || typeof payload !== 'object' || Array.isArray(payload)) return null;
+    // Registered NumericDate claims first, then custom ones holding epoch seconds (2001-2286)
+    const names = [
+      ...NUMERIC_DATE_CLAIMS.filter((name) => typeof payload[name] === 'number'),
+      ...Object.keys(payload).filter((name) => !NUMERIC_DATE_CLAIMS.includes(name) &&
+        typeof payload[name] === 'number' && payload[name] >= 1e9 && payload[name] < 1e10),
+    ];
+    const claims = names
+      .map((name) => ({ name, value: payload[name], date: new Date(Math.floor(payload[name] * 1000)) }))
+      .filter((c) => !isNaN(c.date.getTime()));
+    return { header, payload, claims };
+  }
+
+  function parseJWT(s) {
+    const token = decodeJWT(s);
+    if (!token || !token.claims.length) return null;
+    const claim = token.claims.find((c) => c.name === tokenClaim) || token.claims.find((c) => c.name === 'exp') || token.claims[0];
+    return { date: claim.date, detail: claim.name };
+  }
+
+  function claimStatus(name, date) {
+    const diff = date.getTime() - Date.now();
+    const span = relativeSpan(Math.abs(diff));
+    if (name === 'exp') {
+      if (diff <= 0) return 'expired ' + (span ? span + ' ago' : 'just now');
+      return 'valid for ' + (span ? span.replace(/^(\d+) /, '$1 more ') : 'a few more seconds');
+    }
+    if (name === 'nbf' && diff > 0) return 'not valid for another ' + (span || 'few seconds');
+    const verb = { iat: 'issued', nbf: 'valid from', auth_time: 'authenticated' }[name];
+    return (verb ? verb + ' ' : '') + formatRelative(date);
+  }
+
+  // ── Cron ────────────────────────────────────────────────
+
+  const CRON_MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *',
+  };
+  // Days searched for runs before a schedule counts as never firing
+  const CRON_HORIZON_DAYS = 8 * 366;
+
+  // One list item: "*", "5", "9-17" or "MON-FRI", each with an optional
+  // "/step". Quartz and Spring allow "?" only as a whole day field
+  const CRON_ITEM = /^(?:\*|([A-Za-z0-9]+)(?:-([A-Za-z0-9]+))?)(?:\/(\d+))?$/;
+
+  const cronNames = (list, first) => Object.fromEntries(list.map((name, i) => [name.toUpperCase(), first + i]));
+  const cronList = (items) => (items.length > 1 ? items.slice(0, -1).join(', ') + ' and ' : '') + items[items.length - 1];
+
+  function cronSet(text, min, max, names) {
+    // "*/15", "9-17", "MON-FRI", "0,30" → sorted values, or null
+    const value = (token) => (/^\d+$/.test(token) ? parseInt(token, 10) : names && names[token.toUpperCase()]);
+    const values = new Set();
+    for (const item of text.split(',')) {
+      const m = item.match(CRON_ITEM);
+      if (!m) return null;
+      const lo = m[1] === undefined ? min : value(m[1]);
+      const hi = m[2] !== undefined ? value(m[2]) : m[1] === undefined || m[3] ? max : lo;
+      const step = m[3] ? parseInt(m[3], 10) : 1;
+      if (lo === undefined || hi === undefined || lo < min || hi > max || lo > hi || step < 1) return null;
+      for (let v = lo; v <= hi; v += step) values.add(v);
+    }
+    return [...values].sort((a, b) => a - b);
+  }
+
+  function nearestWeekday(year, month, day) {
+    // Quartz "15W": the weekday closest to the 15th, without leaving the month
+    const last = daysInMonth(year, month);
+    const d = Math.min(day, last);
+    const weekday = new Date(Date.UTC(year, month - 1, d)).getUTCDay();
+    if (weekday === 6) return d === 1 ? 3 : d - 1;
+    if (weekday === 0) return d === last ? d - 2 : d + 1;
+    return d;
+  }
+
+  function cronDayOfMonth(text) {
+    // → { any, test(year, month, day) } or null; Quartz adds L (last day),
+    // L-n, nW (nearest weekday) and LW
+    if (text === '*' || text === '?') return { any: true, test: () => true };
+    let m;
+    if ((m = text.match(/^L(?:-(\d+))?$/i))) {
+      const back = parseInt(m[1] || '0', 10);
+      return { any: false, test: (y, mo, d) => d === daysInMonth(y, mo) - back };
+    }
+    if ((m = text.match(/^(\d+|L)W$/i))) {
+      const day = m[1].toUpperCase() === 'L' ? 31 : parseInt(m[1], 10);
+      if (day < 1 || day > 31) return null;
+      return { any: false, test: (y, mo, d) => d === nearestWeekday(y, mo, day) };
+    }
+    const days = cronSet(text, 1, 31);
+    return days && { any: false, test: (y, mo, d) => days.includes(d) };
+  }
+
+  function cronDayOfWeek(text, quartz) {
+    // → { any, test(year, month, day, weekday) } or null. Unix counts 0-7 from
+    // Sunday (7 is Sunday again), Quartz 1-7; Quartz adds nL (the last such
+    // weekday of the month) and n#k (the k-th)
+    if (text === '*' || text === '?') return { any: true, test: () => true };
+    const first = quartz ? 1 : 0;
+    const names = cronNames(RFC_DAYS, first);
+    const weekday = (token) => {
+      const v = /^\d+$/.test(token) ? parseInt(token, 10) : names[token.toUpperCase()];
+      return v === undefined || v < first || v > 7 ? null : (v - first) % 7;
+    };
+    let m;
+    if ((m = text.match(/^([A-Za-z0-9]+)L$/i)) && weekday(m[1]) !== null) {
+      const wd = weekday(m[1]);
+      return { any: false, test: (y, mo, d, w) => w === wd && d + 7 > daysInMonth(y, mo) };
+    }
+    if ((m = text.match(/^([A-Za-z0-9]+)#([1-5])$/)) && weekday(m[1]) !== null) {
+      const wd = weekday(m[1]);
+      const nth = parseInt(m[2], 10);
+      return { any: false, test: (y, mo, d, w) => w === wd && Math.ceil(d / 7) === nth };
+    }
+    const days = cronSet(text, first, 7, names);
+    return days && { any: false, test: (y, mo, d, w) => days.some((v) => (v - first) % 7 === w) };
+  }
+
+  function describeCronField(text, unit, label) {
+    // "*/15" → "every 15 minutes", "9-17" → "hours 9 through 17"; label spells
+    // a value ("MON" → "Monday") in place of the unit
+    if (text === '*' || text === '?') return 'every ' + unit;
+    const name = (v) => (label ? label(v) : String(parseInt(v, 10)));
+    const singles = [];
+    const phrases = [];
+    for (const item of text.split(',')) {
+      const m = item.match(CRON_ITEM);
+      if (m[3]) {
+        const every = 'every ' + (m[3] === '1' ? unit : m[3] + ' ' + unit + 's');
+        phrases.push(!m[1] ? every : every + ' from ' + name(m[1]) + (m[2] ? ' through ' + name(m[2]) : ''));
+      } else if (m[2]) {
+        phrases.push((label ? '' : unit + 's ') + name(m[1]) + ' through ' + name(m[2]));
+      } else {
+        singles.push(name(m[1]));
+      }
+    }
+    if (singles.length) phrases.unshift((label ? '' : unit + (singles.length > 1 ? 's ' : ' ')) + cronList(singles));
+    return cronList(phrases);
+  }
+
+  function describeCron(f, cron) {
+    // Plain English for the normalized fields [second, minute, hour, dom, month, dow, year]
+    const [second, minute, hour, dom, month, dow, year] = f;
+    const fixed = (t) => /^\d+$/.test(t);
+    const parts = [];
+    if (fixed(second) && fixed(minute) && /^\d+(,\d+)*$/.test(hour)) {
+      const time = (h) => pad2(parseInt(h, 10)) + ':' + pad2(parseInt(minute, 10)) +
+        (parseInt(second, 10) ? ':' + pad2(parseInt(second, 10)) : '');
+      parts.push('at ' + cronList(hour.split(',').map(time)));
+    } else {
+      const time = [];
+      if (second !== '0') time.push(describeCronField(second, 'second'));
+      if (minute !== '*' || !time.length) time.push(describeCronField(minute, 'minute'));
+      if (hour !== '*') time.push(describeCronField(hour, 'hour'));
+      else if (/^minutes? \d/.test(time[time.length - 1])) time[time.length - 1] += ' of every hour';
+      parts.push(time.join(', ').replace(/^((?:minute|second)s? \d)/, 'at $1'));
+    }
+
+    const weekdayLabel = (v) => WEEKDAY_NAMES[(fixed(v) ? parseInt(v, 10) - (cron.flavor === 'Quartz' ? 1 : 0) : cronNames(RFC_DAYS, 0)[v.toUpperCase()]) % 7];
+    let days = [];
+    let m;
+    if (!cron.dom.any) {
+      if ((m = dom.match(/^L(?:-(\d+))?$/i))) {
+        days.push('on the last day of the month' + (m[1] ? ' minus ' + m[1] + ' days' : ''));
+      } else if ((m = dom.match(/^(\d+|L)W$/i))) {
+        days.push(fixed(m[1]) ? 'on the weekday nearest day ' + parseInt(m[1], 10) + ' of the month' : 'on the last weekday of the month');
+      } else {
+        days.push('on ' + describeCronField(dom, 'day') + ' of the month');
+      }
+    }
+    if (!cron.dow.any) {
+      if ((m = dow.match(/^([A-Za-z0-9]+)L$/i)) && weekdayLabel(m[1])) {
+        days.push('on the last ' + weekdayLabel(m[1]) + ' of the month');
+      } else if ((m = dow.match(/^([A-Za-z0-9]+)#([1-5])$/))) {
+        days.push('on the ' + m[2] + ordinalSuffix(parseInt(m[2], 10)) + ' ' + weekdayLabel(m[1]) + ' of the month');
+      } else {
+        days.push('on ' + describeCronField(dow, 'day', weekdayLabel));
+      }
+    }
+    if (days.length) parts.push(days.join(cron.either ? ' or ' : ', '));
+    if (month !== '*') {
+      const monthLabel = (v) => MONTH_NAMES[(fixed(v) ? parseInt(v, 10) : cronNames(RFC_MONTHS, 1)[v.toUpperCase()]) - 1];
+      parts.push('in ' + describeCronField(month, 'month', monthLabel));
+    }
+    if (year !== '*') parts.push('in ' + describeCronField(year, 'year'));
+    const text = parts.join(', ');
+    return text[0].toUpperCase() + text.slice(1);
+  }
+
+  function compileCron(text) {
+    // 5 fields (Unix), 6 (Spring, with seconds) or 6-7 with "?" or a year
+    // (Quartz), or an @macro; an optional CRON_TZ= prefix sets the zone.
+    // Spring takes "?" too but counts weekdays from 0, so a 6-field expression
+    // with "?" is read as cronDialect.
+    // → { flavor, zone, description, seconds, …, dom, dow, either, dialectChoice } or { error }
+    let rest = text.trim();
+    let zone = null;
+    const tz = rest.match(/^(?:CRON_)?TZ=(\S+)\s+(.*)$/i);
+    if (tz) {
+      if (!isValidTimezone(tz[1])) return { error: 'Unknown timezone ' + tz[1] };
+      zone = tz[1];
+      rest = tz[2];
+    }
+    let flavor = 'Unix';
+    if (rest[0] === '@') {
+      const macro = rest.toLowerCase();
+      if (macro === '@reboot') return { error: '@reboot runs at startup, not on a schedule' };
+      if (!CRON_MACROS[macro]) return { error: 'Unknown macro ' + rest };
+      flavor = macro;
+      rest = CRON_MACROS[macro];
+    }
+    const f = rest.split(/\s+/);
+    const dialectChoice = f.length === 6 && f.includes('?');
+    if (f.length === 5) f.unshift('0');
+    else if (f.length === 6 || f.length === 7) flavor = f.length === 7 ? 'Quartz' : dialectChoice ? cronDialect : 'Spring';
+    else return { error: 'A cron expression has 5 to 7 fields' };
+    if (f.length === 6) f.push('*');
+
+    const cron = {
+      flavor,
+      zone,
+      dialectChoice,
+      seconds: cronSet(f[0], 0, 59),
+      minutes: cronSet(f[1], 0, 59),
+      hours: cronSet(f[2], 0, 23),
+      dom: cronDayOfMonth(f[3]),
+      months: cronSet(f[4], 1, 12, cronNames(RFC_MONTHS, 1)),
+      dow: cronDayOfWeek(f[5], flavor === 'Quartz'),
+      years: cronSet(f[6], 1970, 2199),
+    };
+    const fields = ['seconds', 'minutes', 'hours', 'dom', 'months', 'dow', 'years'];
+    const labels = ['second', 'minute', 'hour', 'day-of-month', 'month', 'day-of-week', 'year'];
+    const bad = fields.findIndex((key) => !cron[key]);
+    if (bad >= 0) return { error: 'Invalid ' + labels[bad] + ' field ' + f[bad] };
+    // Unix cron fires when either day field matches once both are restricted
+    cron.either = flavor !== 'Quartz' && flavor !== 'Spring' && !cron.dom.any && !cron.dow.any;
+    // cronie tells wildcard jobs (minute or hour starting with "*") from
+    // fixed-time ones around DST changes
+    cron.wildcard = f[1][0] === '*' || f[2][0] === '*';
+    cron.description = describeCron(f, cron);
+    return cron;
+  }
+
+  function cronDayRuns(cron, tz, day) {
+    // Fire times on one wall-clock day (day is its midnight in UTC fields),
+    // sorted, as the schedulers run them around a DST change. Unix flavors
+    // follow cronie: a fixed-time job in a skipped hour runs right after the
+    // jump, one in a repeated hour runs once; wildcard jobs skip the gap and
+    // run in both passes. Quartz and Spring resolve a skipped wall clock past
+    // the jump and a repeated one to its first pass. kind: 'gap', 'overlap'
+    // (a repeated wall clock, first pass) or 'repeat' (its second pass).
+    const before = getOffsetMinutes(new Date(day - 86400000), tz);
+    const after = getOffsetMinutes(new Date(day + 2 * 86400000), tz);
+    const change = before === after ? null : offsetChange(tz, day - 86400000, day + 2 * 86400000);
+    const unix = cron.flavor !== 'Quartz' && cron.flavor !== 'Spring';
+    const runs = [];
+    for (const h of cron.hours) {
+      for (const m of cron.minutes) {
+        for (const s of cron.seconds) {
+          const wall = day + ((h * 60 + m) * 60 + s) * 1000;
+          const early = wall - before * 60000;
+          const late = wall - after * 60000;
+          if (change === null) {
+            runs.push({ ms: early, wall, kind: null });
+          } else if (early < change && late >= change) {
+            runs.push({ ms: early, wall, kind: 'overlap' });
+            if (unix && cron.wildcard) runs.push({ ms: late, wall, kind: 'repeat' });
+          } else if (early < change || late >= change) {
+            runs.push({ ms: early < change ? early : late, wall, kind: null });
+          } else if (!unix) {
+            runs.push({ ms: early, wall, kind: 'gap' });
+          } else if (!cron.wildcard) {
+            runs.push({ ms: change, wall, kind: 'gap' });
+          }
+        }
+      }
+    }
+    // A skipped time can land on an instant that already fires; it fires once
+    return runs.sort((a, b) => a.ms - b.ms || !!a.kind - !!b.kind).filter((r, i, all) => !i || r.ms !== all[i - 1].ms);
+  }
+
+  function cronRuns(cron, tz, from, count, direction) {
+    // The count fire times after (direction 1) or before (-1) from, nearest first
+    const p = getPartsInTz(from, tz);
+    const runs = [];
+    let day = Date.UTC(p.year, p.month - 1, p.day);
+    for (let i = 0; i < CRON_HORIZON_DAYS && runs.length < count; i++, day += direction * 86400000) {
+      const d = new Date(day);
+      const y = d.getUTCFullYear();
+      const mo = d.getUTCMonth() + 1;
+      if (!cron.years.includes(y) || !cron.months.includes(mo)) continue;
+      const domMatch = cron.dom.test(y, mo, d.getUTCDate());
+      const dowMatch = cron.dow.test(y, mo, d.getUTCDate(), d.getUTCDay());
+      if (cron.either ? !domMatch && !dowMatch : !domMatch || !dowMatch) continue;
+      const dayRuns = cronDayRuns(cron, tz, day).filter((r) => (direction > 0 ? r.ms > from.getTime() : r.ms < from.getTime()));
+      if (direction < 0) dayRuns.reverse();
+      runs.push(...dayRuns.slice(0, count - runs.length));
+    }
+    return runs;
+  }
+
+  function cronReference() {
+    // The instant runs are counted from: the panel's "From" field, else now
+    const text = cronReferenceInput.value.trim();
+    if (!text || !compileCron(text).error) return { date: new Date(), text: 'now' };
+    const r = parseTimestamp(text);
+    return r.date ? { date: r.date, text: formatISOWithOffset(r.date, currentTimezone, 0) } : { date: new Date(), text: 'now', invalid: true };
+  }
+
+  function parseCron(s) {
+    const cron = compileCron(s);
+    if (cron.error) return null;
+    const from = cronReference().date;
+    lastWallClock = null;
+    const [next] = cronRuns(cron, cron.zone || cronTimezone, from, 1, 1);
+    if (!next) return null;
+    return { date: new Date(next.ms), detail: cron.description + ' (' + cron.flavor + ', next run)' };
+  }
+
+  // ── Input patterns ──────────────────────────────────────
+
+  const INPUT_SYNTAXES = {
+    strptime: { label: 'strptime', example: '%d-%b-%y %I.%M.%S.%f %p' },
+    java: { label: 'Java', example: 'dd-MMM-yy hh.mm.ss.SSSSSS a' },
+  };
+
+  const CAPTURE_LABELS = {
+    year: 'year', year2: 'year (2 digits)', month: 'month', monthName: 'month name', day: 'day',
+    dayOfYear: 'day of year', hour: 'hour', hour12: 'hour (1–12)', minute: 'minute', second: 'second',
+    fraction: 'fraction', ampm: 'AM/PM', weekday: 'weekday (ignored)', offset: 'UTC offset',
+    zone: 'zone', unix: 'Unix seconds',
+  };
+
+  const NAME_RE = '[A-Za-z]{2,9}';
+  const AMPM_RE = '[AaPp]\\.?[Mm]\\.?';
+  const OFFSET_RE = 'Z|[+-]\\d{2}(?::?\\d{2})?';
+  const ZONE_RE = '[A-Za-z][\\w/+-]*';
+
+  // Token → [regex source, captured field]
+  const STRPTIME = {
+    Y: ['\\d{4}', 'year'], y: ['\\d{2}', 'year2'],
+    m: ['\\d{1,2}', 'month'], b: [NAME_RE, 'monthName'], h: [NAME_RE, 'monthName'], B: [NAME_RE, 'monthName'],
+    d: ['\\d{1,2}', 'day'], e: ['\\s?\\d{1,2}', 'day'], j: ['\\d{1,3}', 'dayOfYear'],
+    a: [NAME_RE, 'weekday'], A: [NAME_RE, 'weekday'],
+    H: ['\\d{1,2}', 'hour'], k: ['\\s?\\d{1,2}', 'hour'], I: ['\\d{1,2}', 'hour12'], l: ['\\s?\\d{1,2}', 'hour12'],
+    M: ['\\d{1,2}', 'minute'], S: ['\\d{1,2}', 'second'], f: ['\\d{1,9}', 'fraction'], p: [AMPM_RE, 'ampm'],
+    z: [OFFSET_RE, 'offset'], Z: [ZONE_RE, 'zone'], s: ['-?\\d+', 'unix'],
+  };
+  const STRPTIME_ALIASES = { F: '%Y-%m-%d', T: '%H:%M:%S', R: '%H:%M' };
+
+  // Java letters by run length ("yy" → 2)
+  const JAVA_INPUT = {
+    y: (n) => (n === 2 ? ['\\d{2}', 'year2'] : ['\\d{4}', 'year']),
+    u: (n) => JAVA_INPUT.y(n),
+    M: (n) => (n >= 3 ? [NAME_RE, 'monthName'] : [n === 2 ? '\\d{2}' : '\\d{1,2}', 'month']),
+    d: (n) => [n === 2 ? '\\d{2}' : '\\d{1,2}', 'day'],
+    D: (n) => [n === 3 ? '\\d{3}' : '\\d{1,3}', 'dayOfYear'],
+    E: () => [NAME_RE, 'weekday'],
+    H: (n) => [n === 2 ? '\\d{2}' : '\\d{1,2}', 'hour'],
+    h: (n) => [n === 2 ? '\\d{2}' : '\\d{1,2}', 'hour12'],
+    m: (n) => [n === 2 ? '\\d{2}' : '\\d{1,2}', 'minute'],
+    s: (n) => [n === 2 ? '\\d{2}' : '\\d{1,2}', 'second'],
+    S: (n) => ['\\d{' + n + '}', 'fraction'],
+    a: () => [AMPM_RE, 'ampm'],
+    Z: () => [OFFSET_RE, 'offset'],
+    X: () => [OFFSET_RE, 'offset'],
+    x: () => [OFFSET_RE, 'offset'],
+    z: () => [ZONE_RE, 'zone'],
+    V: () => [ZONE_RE, 'zone'],
+  };
+
+  const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  function compileInputPattern(syntax, pattern) {
+    // → { regex, pieces } or { error }. Pieces are literal regex sources or
+    // { token, re, field } captures, kept for the sample preview.
+    const pieces = [];
+    const literal = (text) => pieces.push(text.split(/\s+/).map(escapeRegExp).join('\\s+'));
+    let m;
+    if (syntax === 'strptime') {
+      const expanded = pattern.replace(/%([FTR])/g, (all, c) => STRPTIME_ALIASES[c]);
+      const re = /%([A-Za-z%])|[^%]+|%/y;
+      while (re.lastIndex < expanded.length && (m = re.exec(expanded))) {
+        if (!m[1] || m[1] === '%') {
+          literal(m[1] ? '%' : m[0]);
+          continue;
+        }
+        const spec = STRPTIME[m[1]];
+        if (!spec) return { error: 'Unknown directive ' + m[0] };
+        pieces.push({ token: m[0], re: spec[0], field: spec[1] });
+      }
+    } else {
+      const re = /'((?:[^']|'')*)'|([A-Za-z])\2*|[^'A-Za-z]+/y;
+      while (re.lastIndex < pattern.length) {
+        if (!(m = re.exec(pattern))) return { error: 'Unterminated quote' };
+        if (m[1] !== undefined) {
+          literal(m[1] ? m[1].replace(/''/g, "'") : "'");
+        } else if (m[2]) {
+          const spec = JAVA_INPUT[m[2]];
+          if (!spec) return { error: 'Unsupported pattern letter ' + m[2] };
+          const [src, field] = spec(m[0].length);
+          pieces.push({ token: m[0], re: src, field });
+        } else {
+          literal(m[0]);
+        }
+      }
+    }
+    if (!pieces.some((p) => typeof p !== 'string')) return { error: 'The pattern has no date fields' };
+    const source = (list) => list.map((p) => (typeof p === 'string' ? p : '(' + p.re + ')')).join('');
+    return { regex: new RegExp('^' + source(pieces) + '$', 'i'), pieces, source };
+  }
+
+  function matchInputPattern(compiled, text) {
+    // → captures [{ token, field, value }], or null
+    const match = text.match(compiled.regex);
+    if (!match) return null;
+    return compiled.pieces.filter((p) => typeof p !== 'string').map((p, i) => ({ ...p, value: match[i + 1] }));
+  }
+
+  function patternStop(compiled, text) {
+    // The first capture the text no longer matches, for the sample preview
+    const captures = compiled.pieces.filter((p) => typeof p !== 'string');
+    for (let n = compiled.pieces.length; n > 0; n--) {
+      if (new RegExp('^' + compiled.source(compiled.pieces.slice(0, n)), 'i').test(text)) {
+        const next = compiled.pieces.slice(n).find((p) => typeof p !== 'string');
+        return next ? next.token : null;
+      }
+    }
+    return captures[0].token;
+  }
+
+  function buildInputDetectors() {
+    inputDetectors = inputPatterns.map((p) => {
+      const compiled = compileInputPattern(p.syntax, p.pattern);
+      return {
+        name: p.name,
+        first: p.first,
+        test: compiled.regex,
+        parse: (s) => readInputPattern(matchInputPattern(compiled, s), p.syntax, p.zone),
+      };
+    });
+  }
+
+  function readInputPattern(captures, syntax, zone) {
+    // Captured fields → { date, nanos }; a missing year is the current one
+    const v = {};
+    for (const c of captures) v[c.field] = c.value;
+    if (v.unix !== undefined) return { date: new Date(parseInt(v.unix, 10) * 1000), nanos: 0 };
+
+    let year;
+    if (v.year) year = parseInt(v.year, 10);
+    else if (v.year2) year = parseInt(v.year2, 10) + (syntax === 'java' || parseInt(v.year2, 10) < 69 ? 2000 : 1900);
+    else year = getPartsInTz(new Date(), zone || inputTimezone).year;
+    let month = v.monthName ? monthIndex(v.monthName) + 1 : v.month ? parseInt(v.month, 10) : 1;
+    let day = v.day ? parseInt(v.day, 10) : 1;
+    if (v.dayOfYear) {
+      const d = new Date(Date.UTC(year, 0, parseInt(v.dayOfYear, 10)));
+      if (d.getUTCFullYear() !== year) return null;
+      month = d.getUTCMonth() + 1;
+      day = d.getUTCDate();
+    }
+    let hour = v.hour ? parseInt(v.hour, 10) : 0;
+    const pm = v.ampm && /^p/i.test(v.ampm);
+    if (v.hour12) {
+      hour = parseInt(v.hour12, 10);
+      if (hour < 1 || hour > 12) return null;
+      hour = (hour % 12) + (pm ? 12 : 0);
+    } else if (pm && hour < 12) {
+      hour += 12;
+    }
+    const minute = v.minute ? parseInt(v.minute, 10) : 0;
+    const second = v.second ? parseInt(v.second, 10) : 0;
+    const fraction = (v.fraction || '').padEnd(9, '0');
+    if (month < 1 || month > 12 || hour > 23 || minute > 59 || second > 59) return null;
+
+    const wall = new Date(Date.UTC(year, month - 1, day, hour, minute, second, parseInt(fraction.slice(0, 3), 10)));
+    if (wall.getUTCDate() !== day) return null;
+    const nanos = parseInt(fraction.slice(3), 10);
+    if (v.offset) {
+      // "Z" leaves the offset at zero
+      const o = v.offset.match(/^([+-])(\d{2}):?(\d{2})?$/);
+      const off = o ? (o[1] === '-' ? -1 : 1) * (parseInt(o[2], 10) * 60 + parseInt(o[3] || '0', 10)) : 0;
+      return { date: new Date(wall.getTime() - off * 60000), nanos };
+    }
+    if (v.zone) {
+      const found = lookupZone(v.zone);
+      if (!found) return null;
+      const tz = (found.abbr && zonePicks[found.abbr]) || found.zones[0];
+      return { date: withInputZone(tz, () => fromInputZone(wall)), nanos };
+    }
+    return { date: zone ? withInputZone(zone, () => fromInputZone(wall)) : fromInputZone(wall), nanos };
+  }
+
+  // ── Timezone helpers ────────────────────────────────────
+
+  // tz → formatter; offset scans call getPartsInTz thousands of times
+  const partsFormats = {};
+
+  function getPartsInTz(date, tz) {
+    const f = partsFormats[tz] || (partsFormats[tz] = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hour12: false,
+    }));
+    const p = {};
+    f.formatToParts(date).forEach((part) => {
+      if (part.type !== 'literal') p[part.type] = part.value;
+    });
+    return {
+      year: parseInt(p.year, 10),
+      month: parseInt(p.month, 10),
+      day: parseInt(p.day, 10),
+      hour: parseInt(p.hour, 10) % 24,
+      minute: parseInt(p.minute, 10),
+      second: parseInt(p.second, 10),
+    };
   }
 
   function getOffsetMinutes(date, tz) {
@@ -615,143 +2324,1698 @@
     return sign + h + ':' + m;
   }
 
-  // ── Output formatters ──────────────────────────────────
+  function getTzAbbrev(date, tz) {
+    const name = (locale) => new Intl.DateTimeFormat(locale, { timeZone: tz, timeZoneName: 'short' })
+      .formatToParts(date).find((p) => p.type === 'timeZoneName').value;
+    const us = name('en-US');
+    if (!/^GMT[+-]/.test(us)) return us;
+    // en-GB knows the European names (CET, BST, ...)
+    const gb = name('en-GB');
+    if (!/^GMT[+-]/.test(gb)) return gb;
+    const abbrs = tzToAbbrevs[tz];
+    return abbrs && abbrs.length === 1 ? abbrs[0].toUpperCase() : us;
+  }
 
-  function formatUnixS(date) {
-    return String(Math.floor(date.getTime() / 1000));
+  function zonedToDate(f, tz) {
+    // Wall-clock fields in tz → instant. Out-of-range fields roll over like Date.UTC.
+    const wall = Date.UTC(f.year, f.month - 1, f.day, f.hour || 0, f.minute || 0, f.second || 0, f.ms || 0);
+    const guess = getOffsetMinutes(new Date(wall), tz);
+    let ms = wall - guess * 60000;
+    const actual = getOffsetMinutes(new Date(ms), tz);
+    if (actual !== guess) ms = wall - actual * 60000;
+    return new Date(ms);
   }
 
-  function formatUnixMs(date) {
-    return String(date.getTime());
+  function offsetChange(tz, lo, hi) {
+    // First second on the new offset, given the offset differs at lo and hi
+    const before = getOffsetMinutes(new Date(lo), tz);
+    while (hi - lo > 1000) {
+      const mid = lo + Math.floor((hi - lo) / 2000) * 1000;
+      if (getOffsetMinutes(new Date(mid), tz) === before) lo = mid;
+      else hi = mid;
+    }
+    return hi;
   }
 
-  function formatISO(date) {
-    return date.toISOString();
+  function resolveWallClock(wall, tz) {
+    // Instants that read as this wall clock in tz: two in a fall-back overlap,
+    // none in a spring-forward gap. A gap is resolved by shifting the wall clock
+    // with the offset from either side of the transition.
+    const before = getOffsetMinutes(new Date(wall - 86400000), tz);
+    const after = getOffsetMinutes(new Date(wall + 86400000), tz);
+    const fits = [...new Set([before, after])]
+      .map((offset) => wall - offset * 60000)
+      .filter((ms) => wall - getOffsetMinutes(new Date(ms), tz) * 60000 === ms)
+      .sort((a, b) => a - b);
+    if (fits.length === 1) return { instants: fits, kind: null };
+    if (fits.length === 2) return { instants: fits, kind: 'overlap' };
+    const shifted = [wall - before * 60000, wall - after * 60000].sort((a, b) => a - b);
+    return { instants: shifted, kind: 'gap' };
   }
 
-  function formatISOWithOffset(date, tz) {
-    const parts = getPartsInTz(date, tz);
-    const ms = date.getTime() % 1000;
-    const offset = formatOffsetHHMM(getOffsetMinutes(date, tz));
-    return (
-      String(parts.year).padStart(4, '0') + '-' +
-      String(parts.month).padStart(2, '0') + '-' +
-      String(parts.day).padStart(2, '0') + 'T' +
-      String(parts.hour).padStart(2, '0') + ':' +
-      String(parts.minute).padStart(2, '0') + ':' +
-      String(parts.second).padStart(2, '0') + '.' +
-      String(ms).padStart(3, '0') +
-      offset
-    );
+  function fromInputZone(d) {
+    // Naive parsers build the wall clock in UTC fields; read it in the input timezone
+    if (inputTimezone === 'UTC') return d;
+    const r = resolveWallClock(d.getTime(), inputTimezone);
+    if (r.kind) lastWallClock = { kind: r.kind, tz: inputTimezone, instants: r.instants.map((ms) => new Date(ms)) };
+    return new Date(dstPick === 'later' ? r.instants[r.instants.length - 1] : r.instants[0]);
   }
 
-  const RFC_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-  const RFC_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  // ── Offset transitions ──────────────────────────────────
 
-  function formatRFC2822(date, tz) {
-    const parts = getPartsInTz(date, tz);
-    const offsetMin = getOffsetMinutes(date, tz);
-    // Build a temp date in that timezone to get the day-of-week
-    const tempDate = new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
-    const dow = RFC_DAYS[tempDate.getUTCDay()];
-    const mon = RFC_MONTHS[parts.month - 1];
-    const sign = offsetMin >= 0 ? '+' : '-';
-    const absOff = Math.abs(offsetMin);
-    const offH = String(Math.floor(absOff / 60)).padStart(2, '0');
-    const offM = String(absOff % 60).padStart(2, '0');
-    return (
-      dow + ', ' +
-      String(parts.day).padStart(2, '0') + ' ' +
-      mon + ' ' +
-      parts.year + ' ' +
-      String(parts.hour).padStart(2, '0') + ':' +
-      String(parts.minute).padStart(2, '0') + ':' +
-      String(parts.second).padStart(2, '0') + ' ' +
-      sign + offH + offM
-    );
+  // Zones are sampled weekly, so an offset that changes and changes back
+  // within a week is missed
+  const TRANSITION_STEP = 7 * 86400000;
+  const TRANSITION_FIRST_YEAR = 1850;
+  const TRANSITION_SCAN_YEARS = 200;
+  const TRANSITION_WARN_HOURS = 6;
+  const transitionCache = {}; // 'tz year' → transitions
+
+  function transitionsInYear(tz, year) {
+    // Offset changes in one UTC year, oldest first: { at, from, to } with
+    // offsets in minutes and at the first millisecond on the new offset
+    const key = tz + ' ' + year;
+    if (transitionCache[key]) return transitionCache[key];
+    const list = [];
+    const end = Date.UTC(year + 1, 0, 1) - 1000;
+    if (year >= TRANSITION_FIRST_YEAR && !isNaN(end)) {
+      let lo = Date.UTC(year, 0, 1) - 1000;
+      let offset = getOffsetMinutes(new Date(lo), tz);
+      while (lo < end) {
+        const hi = Math.min(lo + TRANSITION_STEP, end);
+        if (getOffsetMinutes(new Date(hi), tz) === offset) {
+          lo = hi;
+          continue;
+        }
+        const at = offsetChange(tz, lo, hi);
+        const to = getOffsetMinutes(new Date(at), tz);
+        list.push({ at, from: offset, to });
+        lo = at;
+        offset = to;
+      }
+    }
+    return (transitionCache[key] = list);
   }
 
-  function formatSQL(date, tz) {
-    const parts = getPartsInTz(date, tz);
-    const ms = date.getTime() % 1000;
-    let str = String(parts.year).padStart(4, '0') + '-' +
-      String(parts.month).padStart(2, '0') + '-' +
-      String(parts.day).padStart(2, '0') + ' ' +
+  function adjacentTransition(tz, ms, direction) {
+    // The nearest change after (direction 1) or at or before (-1) the instant
+    let year = Math.max(new Date(ms).getUTCFullYear(), TRANSITION_FIRST_YEAR);
+    for (let i = 0; i < TRANSITION_SCAN_YEARS && year >= TRANSITION_FIRST_YEAR; i++, year += direction) {
+      const list = transitionsInYear(tz, year).filter((t) => (direction > 0 ? t.at > ms : t.at <= ms));
+      if (list.length) return direction > 0 ? list[0] : list[list.length - 1];
+    }
+    return null;
+  }
+
+  function transitionsInLocalYear(tz, year) {
+    return [year - 1, year, year + 1].flatMap((y) => transitionsInYear(tz, y))
+      .filter((t) => getPartsInTz(new Date(t.at), tz).year === year);
+  }
+
+  function zoneHistory(tz) {
+    // Runs of years that use the same set of offsets, oldest first:
+    // { from, to, offsets: [{ minutes, abbr }], changes }
+    const eras = [];
+    const last = new Date().getUTCFullYear() + 1;
+    for (let year = TRANSITION_FIRST_YEAR; year <= last; year++) {
+      const list = transitionsInYear(tz, year);
+      const seen = new Map(); // offset → an instant on it, for the abbreviation
+      for (const t of list) {
+        if (!seen.has(t.from)) seen.set(t.from, new Date(t.at - 1000));
+        if (!seen.has(t.to)) seen.set(t.to, new Date(t.at));
+      }
+      if (!list.length) {
+        const mid = new Date(Date.UTC(year, 6, 1));
+        seen.set(getOffsetMinutes(mid, tz), mid);
+      }
+      const offsets = [...seen].sort((a, b) => a[0] - b[0]);
+      const key = offsets.map(([minutes]) => minutes).join();
+      const era = eras[eras.length - 1];
+      if (era && era.key === key) {
+        era.to = year;
+        era.changes += list.length;
+      } else {
+        eras.push({
+          key,
+          from: year,
+          to: year,
+          offsets: offsets.map(([minutes, at]) => ({ minutes, abbr: getTzAbbrev(at, tz) })),
+          changes: list.length,
+        });
+      }
+    }
+    return eras;
+  }
+
+  function formatShift(t) {
+    // "forward 1h", "back 30m"
+    const abs = Math.abs(t.to - t.from);
+    return (t.to > t.from ? 'forward ' : 'back ') +
+      ((abs >= 60 ? Math.floor(abs / 60) + 'h' : '') + (abs % 60 ? ' ' + (abs % 60) + 'm' : '')).trim();
+  }
+
+  function shiftedWallClock(t) {
+    // The local times a change skips or repeats: "02:00\u201303:00"
+    const times = [t.at + t.from * 60000, t.at + t.to * 60000].sort((a, b) => a - b).map((ms) => {
+      const d = new Date(ms);
+      return pad2(d.getUTCHours()) + ':' + pad2(d.getUTCMinutes());
+    });
+    return times.join('\u2013');
+  }
+
+  // ── Date arithmetic ─────────────────────────────────────
+
+  const UNIT_SINGULAR = {
+    years: 'year', quarters: 'quarter', months: 'month', weeks: 'week', days: 'day',
+    hours: 'hour', minutes: 'minute', seconds: 'second', milliseconds: 'millisecond',
+  };
+
+  function isCalendarDuration(dur) {
+    return Boolean(dur.years || dur.quarters || dur.months || dur.weeks || dur.days);
+  }
+
+  function describeDuration(dur) {
+    return Object.keys(UNIT_SINGULAR)
+      .filter((k) => dur[k])
+      .map((k) => {
+        const n = Math.abs(dur[k]);
+        return n + ' ' + UNIT_SINGULAR[k] + (n === 1 ? '' : 's');
+      })
+      .join(' ');
+  }
+
+  const ISO_DURATION = /^P(?!$)(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?=\d)(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)(?:[.,](\d{1,3})\d*)?S)?)?$/i;
+
+  function parseDuration(s) {
+    // ISO 8601 ("P1DT2H") or unit lists ("3h15m", "90 minutes", "1 day 2 hours")
+    const iso = s.match(ISO_DURATION);
+    if (iso) {
+      const keys = ['years', 'months', 'weeks', 'days', 'hours', 'minutes', 'seconds'];
+      const dur = {};
+      keys.forEach((k, i) => {
+        if (iso[i + 1]) dur[k] = parseInt(iso[i + 1], 10);
+      });
+      if (iso[8]) dur.milliseconds = parseInt(iso[8].padEnd(3, '0'), 10);
+      return dur;
+    }
+    const dur = {};
+    const re = /\s*(?:and\s+)?(\d+)\s*([a-z]+)/gy;
+    let m;
+    let end = 0;
+    while ((m = re.exec(s))) {
+      const key = RELATIVE_UNITS[m[2].toLowerCase()];
+      if (!key) return null;
+      dur[key] = (dur[key] || 0) + parseInt(m[1], 10);
+      end = re.lastIndex;
+    }
+    return end && end === s.length ? dur : null;
+  }
+
+  function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+  }
+
+  function addDuration(date, dur, tz) {
+    // Calendar units move the wall clock in tz (clamping to month end), so
+    // "+1 day" keeps the time of day across DST; the rest is exact elapsed time.
+    let ms = date.getTime();
+    if (isCalendarDuration(dur)) {
+      const p = getPartsInTz(date, tz);
+      const monthIndex = p.year * 12 + p.month - 1 + (dur.years || 0) * 12 + (dur.quarters || 0) * 3 + (dur.months || 0);
+      const year = Math.floor(monthIndex / 12);
+      const month = monthIndex - year * 12 + 1;
+      const day = Math.min(p.day, daysInMonth(year, month)) + (dur.weeks || 0) * 7 + (dur.days || 0);
+      ms = zonedToDate({
+        year, month, day, hour: p.hour, minute: p.minute, second: p.second,
+        ms: ((ms % 1000) + 1000) % 1000,
+      }, tz).getTime();
+    }
+    ms += (dur.hours || 0) * 3600000 + (dur.minutes || 0) * 60000 +
+      (dur.seconds || 0) * 1000 + (dur.milliseconds || 0);
+    return new Date(ms);
+  }
+
+  function calendarDiff(start, end, tz, startNanos, endNanos) {
+    // Largest-unit-first breakdown, counting months and days on the wall clock
+    // in tz and the remainder as exact elapsed time. Sub-millisecond nanos are
+    // kept apart; the later side lends a millisecond when it has fewer
+    const sign = (end - start || (endNanos || 0) - (startNanos || 0)) < 0 ? -1 : 1;
+    const [from, until, fromNanos, toNanos] = sign > 0 ?
+      [start, end, startNanos || 0, endNanos || 0] : [end, start, endNanos || 0, startNanos || 0];
+    const borrow = toNanos < fromNanos ? 1 : 0;
+    const to = new Date(until.getTime() - borrow);
+    const a = getPartsInTz(from, tz);
+    const b = getPartsInTz(to, tz);
+    let months = (b.year - a.year) * 12 + (b.month - a.month);
+    let anchor = addDuration(from, { months }, tz);
+    while (months > 0 && anchor > to) anchor = addDuration(from, { months: --months }, tz);
+    const c = getPartsInTz(anchor, tz);
+    let days = Math.round((Date.UTC(b.year, b.month - 1, b.day) - Date.UTC(c.year, c.month - 1, c.day)) / 86400000);
+    let mid = addDuration(anchor, { days }, tz);
+    while (days > 0 && mid > to) mid = addDuration(anchor, { days: --days }, tz);
+    let rest = to - mid;
+    const hours = Math.floor(rest / 3600000);
+    rest -= hours * 3600000;
+    const minutes = Math.floor(rest / 60000);
+    rest -= minutes * 60000;
+    return {
+      sign,
+      years: Math.floor(months / 12),
+      months: months % 12,
+      days,
+      hours,
+      minutes,
+      seconds: Math.floor(rest / 1000),
+      milliseconds: rest % 1000,
+      nanos: toNanos - fromNanos + borrow * 1000000,
+    };
+  }
+
+  function startOfUnit(date, unit, tz) {
+    const p = getPartsInTz(date, tz);
+    const f = { year: p.year, month: p.month, day: p.day };
+    if (unit === 'minutes') Object.assign(f, { hour: p.hour, minute: p.minute });
+    else if (unit === 'hours') f.hour = p.hour;
+    else if (unit === 'weeks') f.day -= (new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay() + 6) % 7;
+    else if (unit === 'months') f.day = 1;
+    else if (unit === 'quarters') Object.assign(f, { month: Math.floor((p.month - 1) / 3) * 3 + 1, day: 1 });
+    else if (unit === 'years') Object.assign(f, { month: 1, day: 1 });
+    return zonedToDate(f, tz);
+  }
+
+  // ── Output formatters ──────────────────────────────────
+
+  function formatUnixS(date) {
+    return String(Math.floor(date.getTime() / 1000));
+  }
+
+  function formatUnixMs(date) {
+    return String(date.getTime());
+  }
+
+  function formatUnixUs(date, nanos) {
+    return String(BigInt(date.getTime()) * 1000n + BigInt(Math.floor(nanos / 1000)));
+  }
+
+  function formatUnixNs(date, nanos) {
+    return String(BigInt(date.getTime()) * 1000000n + BigInt(nanos));
+  }
+
+  function formatFraction(date, nanos) {
+    // Milliseconds, then µs or ns digits only when the input had them
+    const ms = String(((date.getTime() % 1000) + 1000) % 1000).padStart(3, '0');
+    if (!nanos) return ms;
+    const rest = String(nanos).padStart(6, '0');
+    return ms + (nanos % 1000 ? rest : rest.slice(0, 3));
+  }
+
+  function formatISO(date, nanos) {
+    return date.toISOString().replace(/\.\d{3}Z$/, '.' + formatFraction(date, nanos) + 'Z');
+  }
+
+  function formatISOWithOffset(date, tz, nanos) {
+    const parts = getPartsInTz(date, tz);
+    const offset = formatOffsetHHMM(getOffsetMinutes(date, tz));
+    return (
+      String(parts.year).padStart(4, '0') + '-' +
+      String(parts.month).padStart(2, '0') + '-' +
+      String(parts.day).padStart(2, '0') + 'T' +
+      String(parts.hour).padStart(2, '0') + ':' +
+      String(parts.minute).padStart(2, '0') + ':' +
+      String(parts.second).padStart(2, '0') + '.' +
+      formatFraction(date, nanos) +
+      offset
+    );
+  }
+
+  const RFC_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const RFC_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+  function formatRFC2822(date, tz) {
+    const parts = getPartsInTz(date, tz);
+    const offsetMin = getOffsetMinutes(date, tz);
+    // Build a temp date in that timezone to get the day-of-week
+    const tempDate = new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+    const dow = RFC_DAYS[tempDate.getUTCDay()];
+    const mon = RFC_MONTHS[parts.month - 1];
+    const sign = offsetMin >= 0 ? '+' : '-';
+    const absOff = Math.abs(offsetMin);
+    const offH = String(Math.floor(absOff / 60)).padStart(2, '0');
+    const offM = String(absOff % 60).padStart(2, '0');
+    return (
+      dow + ', ' +
+      String(parts.day).padStart(2, '0') + ' ' +
+      mon + ' ' +
+      parts.year + ' ' +
+      String(parts.hour).padStart(2, '0') + ':' +
+      String(parts.minute).padStart(2, '0') + ':' +
+      String(parts.second).padStart(2, '0') + ' ' +
+      sign + offH + offM
+    );
+  }
+
+  function formatSQL(date, tz, nanos) {
+    const parts = getPartsInTz(date, tz);
+    const ms = date.getTime() % 1000;
+    let str = String(parts.year).padStart(4, '0') + '-' +
+      String(parts.month).padStart(2, '0') + '-' +
+      String(parts.day).padStart(2, '0') + ' ' +
       String(parts.hour).padStart(2, '0') + ':' +
       String(parts.minute).padStart(2, '0') + ':' +
       String(parts.second).padStart(2, '0');
-    if (ms > 0) str += '.' + String(ms).padStart(3, '0');
+    if (ms || nanos) str += '.' + formatFraction(date, nanos);
     return str;
   }
 
-  function formatRelative(date) {
-    const now = Date.now();
-    const diffMs = now - date.getTime();
-    const absDiff = Math.abs(diffMs);
-    const future = diffMs < 0;
+  function decimalSeconds(total) {
+    // Exact signed decimal: -1.5 s stays -1.5, not -2 + 0.5
+    const abs = total < 0n ? -total : total;
+    const rest = abs % 1000000000n;
+    return (total < 0n ? '-' : '') + abs / 1000000000n +
+      (rest ? '.' + String(rest).padStart(9, '0').replace(/0+$/, '') : '');
+  }
+
+  function sqlTimestamp(date, tz, nanos, digits) {
+    // Wall clock in tz, the fraction cut to the digits the column type stores
+    const fraction = (formatFraction(date, 0) + String(nanos || 0).padStart(6, '0')).slice(0, digits).replace(/0+$/, '');
+    return formatSQL(date, tz, 0).slice(0, 19) + (fraction ? '.' + fraction : '');
+  }
+
+  function sqlEpoch(date, nanos, digits) {
+    // Unix seconds floored to `digits` decimals
+    const unit = 10n ** BigInt(9 - digits);
+    let total = BigInt(date.getTime()) * 1000000n + BigInt(nanos || 0);
+    total -= ((total % unit) + unit) % unit;
+    return decimalSeconds(total);
+  }
+
+  const sqlOffset = (date, tz) => formatOffsetHHMM(getOffsetMinutes(date, tz));
+
+  // One optional output row per database; literals carry the offset where the
+  // type has one, so the session timezone can't shift them
+  const SQL_DIALECTS = [
+    {
+      id: 'sql-postgres',
+      label: 'PostgreSQL TIMESTAMPTZ',
+      format: (date, tz, nanos) => "TIMESTAMPTZ '" + sqlTimestamp(date, tz, nanos, 6) + sqlOffset(date, tz) + "'",
+    },
+    {
+      id: 'sql-postgres-epoch',
+      label: 'PostgreSQL to_timestamp()',
+      format: (date, tz, nanos) => 'to_timestamp(' + sqlEpoch(date, nanos, 6) + ')',
+    },
+    {
+      // MySQL 8.0.19+ converts the offset to the session timezone
+      id: 'sql-mysql',
+      label: 'MySQL DATETIME(6)',
+      format: (date, tz, nanos) => "CAST('" + sqlTimestamp(date, tz, nanos, 6) + sqlOffset(date, tz) + "' AS DATETIME(6))",
+    },
+    {
+      id: 'sql-mysql-epoch',
+      label: 'MySQL FROM_UNIXTIME()',
+      format: (date, tz, nanos) => 'FROM_UNIXTIME(' + sqlEpoch(date, nanos, 6) + ')',
+    },
+    {
+      id: 'sql-sqlserver',
+      label: 'SQL Server DATETIMEOFFSET',
+      format: (date, tz, nanos) => "CAST('" + sqlTimestamp(date, tz, nanos, 7) + ' ' + sqlOffset(date, tz) + "' AS DATETIMEOFFSET(7))",
+    },
+    {
+      id: 'sql-oracle',
+      label: 'Oracle TO_TIMESTAMP_TZ',
+      format: (date, tz, nanos) => {
+        const text = sqlTimestamp(date, tz, nanos, 9);
+        return "TO_TIMESTAMP_TZ('" + text + ' ' + sqlOffset(date, tz) + "', 'YYYY-MM-DD HH24:MI:SS" +
+          (text.includes('.') ? '.FF' : '') + " TZH:TZM')";
+      },
+    },
+    {
+      // SQLite has no timestamp type; its date functions read text as UTC
+      id: 'sql-sqlite',
+      label: 'SQLite (UTC text)',
+      format: (date, tz, nanos) => "'" + sqlTimestamp(date, 'UTC', nanos, 3) + "'",
+    },
+    {
+      id: 'sql-bigquery',
+      label: 'BigQuery TIMESTAMP',
+      format: (date, tz, nanos) => "TIMESTAMP '" + sqlTimestamp(date, tz, nanos, 6) + sqlOffset(date, tz) + "'",
+    },
+    {
+      id: 'sql-clickhouse',
+      label: 'ClickHouse DateTime64',
+      format: (date, tz, nanos) => {
+        const text = sqlTimestamp(date, tz, nanos, 9);
+        const digits = text.includes('.') ? text.length - text.indexOf('.') - 1 : 0;
+        return "toDateTime64('" + text + "', " + Math.ceil(digits / 3) * 3 + ", '" + tz + "')";
+      },
+    },
+    {
+      id: 'sql-snowflake',
+      label: 'Snowflake TIMESTAMP_TZ',
+      format: (date, tz, nanos) => "'" + sqlTimestamp(date, tz, nanos, 9) + ' ' + sqlOffset(date, tz) + "'::TIMESTAMP_TZ",
+    },
+  ];
+
+  function formatISOWeek(date, tz) {
+    const p = getPartsInTz(date, tz);
+    const day = Date.UTC(p.year, p.month - 1, p.day);
+    const weekday = ((new Date(day).getUTCDay() + 6) % 7) + 1;
+    // A week belongs to the year its Thursday falls in
+    const year = new Date(day + (4 - weekday) * 86400000).getUTCFullYear();
+    const week = Math.floor((day + (4 - weekday) * 86400000 - isoWeekStart(year)) / 604800000) + 1;
+    return year + '-W' + String(week).padStart(2, '0') + '-' + weekday;
+  }
+
+  function formatOrdinal(date, tz) {
+    const p = getPartsInTz(date, tz);
+    const day = (Date.UTC(p.year, p.month - 1, p.day) - Date.UTC(p.year, 0, 1)) / 86400000 + 1;
+    return p.year + '-' + String(day).padStart(3, '0');
+  }
+
+  function formatQuarter(date, tz) {
+    const p = getPartsInTz(date, tz);
+    return p.year + '-Q' + Math.ceil(p.month / 3);
+  }
+
+  function formatRelative(date) {
+    const diffMs = Date.now() - date.getTime();
+    const span = relativeSpan(Math.abs(diffMs));
+    if (!span) return 'just now';
+    return diffMs < 0 ? 'in ' + span : span + ' ago';
+  }
+
+  function relativeSpan(absDiff) {
+    // "3 hours", "1 day"; null under five seconds
+    const span = relativeUnit(absDiff);
+    return span && span.value + ' ' + span.unit + (span.value === 1 ? '' : 's');
+  }
+
+  function relativeUnit(absDiff) {
+    // Largest whole unit: { value: 3, unit: 'hour' }; null under five seconds
+    const seconds = Math.floor(absDiff / 1000);
+    const minutes = Math.floor(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+    const days = Math.floor(hours / 24);
+    const months = Math.floor(days / 30.44);
+    const years = Math.floor(days / 365.25);
+
+    if (seconds < 5) return null;
+    if (seconds < 60) return { value: seconds, unit: 'second' };
+    if (minutes < 60) return { value: minutes, unit: 'minute' };
+    if (hours < 24) return { value: hours, unit: 'hour' };
+    if (days < 30) return { value: days, unit: 'day' };
+    if (months < 12) return { value: months, unit: 'month' };
+    return { value: years, unit: 'year' };
+  }
+
+  function formatDecimal(n) {
+    return String(Math.round(n * 1e6) / 1e6);
+  }
+
+  function formatDiffSeconds(diff) {
+    // Seconds with the fraction exact to the nanosecond, trailing zeros cut
+    const fraction = (String(diff.milliseconds).padStart(3, '0') + String(diff.nanos).padStart(6, '0')).replace(/0+$/, '');
+    return diff.seconds + (fraction ? '.' + fraction : '');
+  }
+
+  function formatBreakdown(diff) {
+    const parts = [
+      [diff.years, 'y'], [diff.months, 'mo'], [diff.days, 'd'],
+      [diff.hours, 'h'], [diff.minutes, 'm'],
+      [diff.seconds || diff.milliseconds || diff.nanos ? formatDiffSeconds(diff) : 0, 's'],
+    ].filter(([n]) => n).map(([n, unit]) => n + unit);
+    if (!parts.length) return '0s';
+    return (diff.sign < 0 ? '\u2212' : '') + parts.join(' ');
+  }
+
+  function formatISODuration(diff) {
+    let date = '';
+    if (diff.years) date += diff.years + 'Y';
+    if (diff.months) date += diff.months + 'M';
+    if (diff.days) date += diff.days + 'D';
+    let time = '';
+    if (diff.hours) time += diff.hours + 'H';
+    if (diff.minutes) time += diff.minutes + 'M';
+    if (diff.seconds || diff.milliseconds || diff.nanos) time += formatDiffSeconds(diff) + 'S';
+    if (!date && !time) return 'PT0S';
+    return (diff.sign < 0 ? '-' : '') + 'P' + date + (time ? 'T' + time : '');
+  }
+
+  function formatHTTPDate(date) {
+    // IMF-fixdate: RFC 2822 in GMT, the form HTTP headers and cookies expect
+    return formatRFC2822(date, 'UTC').replace(/\+0000$/, 'GMT');
+  }
+
+  function formatRFC850(date) {
+    return WEEKDAY_NAMES[date.getUTCDay()] + ', ' + String(date.getUTCDate()).padStart(2, '0') + '-' +
+      RFC_MONTHS[date.getUTCMonth()] + '-' + String(date.getUTCFullYear() % 100).padStart(2, '0') + ' ' +
+      date.toISOString().slice(11, 19) + ' GMT';
+  }
+
+  function formatAsctime(date) {
+    // asctime() pads the day with a space: "Sun Nov  6 08:49:37 1994"
+    return RFC_DAYS[date.getUTCDay()] + ' ' + RFC_MONTHS[date.getUTCMonth()] + ' ' +
+      String(date.getUTCDate()).padStart(2, ' ') + ' ' + date.toISOString().slice(11, 19) + ' ' + date.getUTCFullYear();
+  }
+
+  function formatRFC3339(date, tz, nanos) {
+    // ISO 8601 with offset, the fraction only when there is one
+    return formatISOWithOffset(date, tz, nanos).replace(/\.0+(?=[+-])/, '');
+  }
+
+  function formatProtobuf(date, tz, nanos) {
+    // nanos is never negative; earlier instants borrow a second
+    const s = splitEpochSeconds(date, nanos);
+    return '{"seconds": ' + s.seconds + ', "nanos": ' + s.nanos + '}';
+  }
+
+  function formatMongoDate(date) {
+    // Relaxed Extended JSON: an ISO string for years 1970-9999, else canonical
+    const year = date.getUTCFullYear();
+    return year >= 1970 && year <= 9999
+      ? '{"$date": "' + date.toISOString() + '"}'
+      : '{"$date": {"$numberLong": "' + date.getTime() + '"}}';
+  }
+
+  const LOCALE_CALENDARS = ['', 'gregory', 'japanese', 'buddhist', 'islamic-umalqura', 'hebrew', 'persian', 'chinese'];
+  const LOCALE_NUMBERINGS = ['', 'latn', 'arab', 'arabext', 'thai', 'hanidec', 'deva', 'beng', 'fullwide'];
+  const LOCALE_STYLES = ['default', 'full', 'long', 'medium', 'short', 'none'];
+
+  // Fields of the Human-readable row while both styles are 'default'
+  const HUMAN_FIELDS = {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  };
+
+  function isValidLocaleSetting(s) {
+    if (!s || typeof s.locale !== 'string' || !LOCALE_CALENDARS.includes(s.calendar) ||
+        !LOCALE_NUMBERINGS.includes(s.numbering) || !['', '12', '24'].includes(s.hours) ||
+        !LOCALE_STYLES.includes(s.dateStyle) || !LOCALE_STYLES.includes(s.timeStyle)) return false;
+    try {
+      return Intl.DateTimeFormat.supportedLocalesOf(s.locale).length > 0;
+    } catch {
+      return false;
+    }
+  }
+
+  function humanOptions(s, tz) {
+    // A 'default' style next to a real one stands for full date / medium time,
+    // since Intl can't mix styles with single fields
+    const options = { timeZone: tz };
+    if (s.calendar) options.calendar = s.calendar;
+    if (s.numbering) options.numberingSystem = s.numbering;
+    if (s.hours) options.hourCycle = s.hours === '12' ? 'h12' : 'h23';
+    const styles = s.dateStyle + ' ' + s.timeStyle;
+    if (styles === 'default default' || styles === 'none none') return Object.assign(options, HUMAN_FIELDS);
+    if (s.dateStyle !== 'none') options.dateStyle = s.dateStyle === 'default' ? 'full' : s.dateStyle;
+    if (s.timeStyle !== 'none') options.timeStyle = s.timeStyle === 'default' ? 'medium' : s.timeStyle;
+    return options;
+  }
+
+  function describeLocale(s) {
+    // "ja-JP, japanese, 24-hour" for row labels
+    return [s.locale, s.calendar, s.numbering, s.hours && s.hours + '-hour',
+      s.dateStyle !== 'default' && 'date ' + s.dateStyle, s.timeStyle !== 'default' && 'time ' + s.timeStyle]
+      .filter(Boolean).join(', ');
+  }
+
+  function formatHuman(date, tz, setting = localeSetting) {
+    return new Intl.DateTimeFormat(setting.locale, humanOptions(setting, tz)).format(date);
+  }
+
+  function formatLocalRelative(date, setting = localeSetting) {
+    // The Relative row: relativeUnit's span, worded by Intl.RelativeTimeFormat
+    const diff = date.getTime() - Date.now();
+    const span = relativeUnit(Math.abs(diff));
+    const options = setting.numbering ? { numberingSystem: setting.numbering } : {};
+    if (!span) return new Intl.RelativeTimeFormat(setting.locale, { ...options, numeric: 'auto' }).format(0, 'second');
+    return new Intl.RelativeTimeFormat(setting.locale, options).format(diff < 0 ? -span.value : span.value, span.unit);
+  }
+
+  // ── Custom formats ──────────────────────────────────────
+
+  const PATTERN_SYNTAXES = {
+    strftime: { label: 'strftime', example: '%Y-%m-%d %H:%M:%S %z' },
+    java: { label: 'Java DateTimeFormatter', example: "yyyy-MM-dd'T'HH:mm:ss.SSSZ" },
+    moment: { label: 'moment / Day.js', example: 'YYYYMMDD-HHmm' },
+  };
+
+  const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+  const pad2 = (n) => String(n).padStart(2, '0');
+
+  function ordinalSuffix(n) {
+    if (n % 100 >= 11 && n % 100 <= 13) return 'th';
+    return ['th', 'st', 'nd', 'rd'][n % 10] || 'th';
+  }
+
+  const offsetText = (minutes, colon) => (colon ? formatOffsetHHMM(minutes) : formatOffsetHHMM(minutes).replace(':', ''));
+
+  function patternFields(date, tz, nanos) {
+    // One set of wall-clock fields; the syntaxes differ only in how they spell them
+    const p = getPartsInTz(date, tz);
+    const week = formatISOWeek(date, tz).match(/^(-?\d+)-W(\d+)/);
+    const ms = ((date.getTime() % 1000) + 1000) % 1000;
+    return {
+      ...p,
+      hour12: p.hour % 12 || 12,
+      weekday: new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay(),
+      dayOfYear: parseInt(formatOrdinal(date, tz).slice(-3), 10),
+      isoYear: parseInt(week[1], 10),
+      isoWeek: parseInt(week[2], 10),
+      fraction: String(ms).padStart(3, '0') + String(nanos || 0).padStart(6, '0'),
+      offset: getOffsetMinutes(date, tz),
+      abbr: getTzAbbrev(date, tz),
+      tz,
+      unixMs: date.getTime(),
+    };
+  }
+
+  const STRFTIME = {
+    Y: (f) => String(f.year).padStart(4, '0'),
+    y: (f) => pad2(f.year % 100),
+    G: (f) => String(f.isoYear),
+    m: (f) => pad2(f.month),
+    b: (f) => RFC_MONTHS[f.month - 1],
+    h: (f) => RFC_MONTHS[f.month - 1],
+    B: (f) => MONTH_NAMES[f.month - 1],
+    d: (f) => pad2(f.day),
+    e: (f) => String(f.day).padStart(2, ' '),
+    j: (f) => String(f.dayOfYear).padStart(3, '0'),
+    V: (f) => pad2(f.isoWeek),
+    a: (f) => RFC_DAYS[f.weekday],
+    A: (f) => WEEKDAY_NAMES[f.weekday],
+    u: (f) => String(f.weekday || 7),
+    w: (f) => String(f.weekday),
+    H: (f) => pad2(f.hour),
+    k: (f) => String(f.hour).padStart(2, ' '),
+    I: (f) => pad2(f.hour12),
+    l: (f) => String(f.hour12).padStart(2, ' '),
+    M: (f) => pad2(f.minute),
+    S: (f) => pad2(f.second),
+    L: (f) => f.fraction.slice(0, 3),
+    f: (f) => f.fraction.slice(0, 6),
+    N: (f) => f.fraction,
+    p: (f) => (f.hour < 12 ? 'AM' : 'PM'),
+    P: (f) => (f.hour < 12 ? 'am' : 'pm'),
+    z: (f) => offsetText(f.offset, false),
+    ':z': (f) => offsetText(f.offset, true),
+    Z: (f) => f.abbr,
+    s: (f) => String(Math.floor(f.unixMs / 1000)),
+    F: (f) => STRFTIME.Y(f) + '-' + pad2(f.month) + '-' + pad2(f.day),
+    T: (f) => pad2(f.hour) + ':' + pad2(f.minute) + ':' + pad2(f.second),
+    '%': () => '%',
+  };
+
+  // Java pattern letters; the count is the run length ("yyyy" → 4)
+  const JAVA = {
+    y: (f, n) => (n === 2 ? pad2(f.year % 100) : String(f.year).padStart(n, '0')),
+    u: (f, n) => JAVA.y(f, n),
+    M: (f, n) => (n >= 4 ? MONTH_NAMES[f.month - 1] : n === 3 ? RFC_MONTHS[f.month - 1] : String(f.month).padStart(n, '0')),
+    L: (f, n) => JAVA.M(f, n),
+    Q: (f, n) => {
+      const q = Math.ceil(f.month / 3);
+      return n === 3 ? 'Q' + q : n >= 4 ? q + ordinalSuffix(q) + ' quarter' : String(q).padStart(n, '0');
+    },
+    d: (f, n) => String(f.day).padStart(n, '0'),
+    D: (f, n) => String(f.dayOfYear).padStart(n, '0'),
+    E: (f, n) => (n >= 4 ? WEEKDAY_NAMES : RFC_DAYS)[f.weekday],
+    a: (f) => (f.hour < 12 ? 'AM' : 'PM'),
+    H: (f, n) => String(f.hour).padStart(n, '0'),
+    k: (f, n) => String(f.hour || 24).padStart(n, '0'),
+    K: (f, n) => String(f.hour % 12).padStart(n, '0'),
+    h: (f, n) => String(f.hour12).padStart(n, '0'),
+    m: (f, n) => String(f.minute).padStart(n, '0'),
+    s: (f, n) => String(f.second).padStart(n, '0'),
+    S: (f, n) => f.fraction.slice(0, n).padEnd(n, '0'),
+    n: (f) => String(parseInt(f.fraction, 10)),
+    V: (f) => f.tz,
+    z: (f) => f.abbr,
+    Z: (f, n) => (n <= 3 ? offsetText(f.offset, false) : n === 4 ? 'GMT' + (f.offset ? offsetText(f.offset, true) : '') : JAVA.X(f, 3)),
+    X: (f, n) => (f.offset ? JAVA.x(f, n) : 'Z'),
+    x: (f, n) => {
+      if (n === 1) return offsetText(f.offset, false).replace(/00$/, '');
+      return offsetText(f.offset, n === 3 || n === 5);
+    },
+  };
+
+  const MOMENT = {
+    YYYY: (f) => String(f.year).padStart(4, '0'),
+    YY: (f) => pad2(f.year % 100),
+    GGGG: (f) => String(f.isoYear),
+    Q: (f) => String(Math.ceil(f.month / 3)),
+    MMMM: (f) => MONTH_NAMES[f.month - 1],
+    MMM: (f) => RFC_MONTHS[f.month - 1],
+    MM: (f) => pad2(f.month),
+    M: (f) => String(f.month),
+    DDDD: (f) => String(f.dayOfYear).padStart(3, '0'),
+    DDD: (f) => String(f.dayOfYear),
+    DD: (f) => pad2(f.day),
+    Do: (f) => f.day + ordinalSuffix(f.day),
+    D: (f) => String(f.day),
+    WW: (f) => pad2(f.isoWeek),
+    W: (f) => String(f.isoWeek),
+    dddd: (f) => WEEKDAY_NAMES[f.weekday],
+    ddd: (f) => RFC_DAYS[f.weekday],
+    dd: (f) => RFC_DAYS[f.weekday].slice(0, 2),
+    d: (f) => String(f.weekday),
+    E: (f) => String(f.weekday || 7),
+    HH: (f) => pad2(f.hour),
+    H: (f) => String(f.hour),
+    hh: (f) => pad2(f.hour12),
+    h: (f) => String(f.hour12),
+    mm: (f) => pad2(f.minute),
+    m: (f) => String(f.minute),
+    ss: (f) => pad2(f.second),
+    s: (f) => String(f.second),
+    A: (f) => (f.hour < 12 ? 'AM' : 'PM'),
+    a: (f) => (f.hour < 12 ? 'am' : 'pm'),
+    ZZ: (f) => offsetText(f.offset, false),
+    Z: (f) => offsetText(f.offset, true),
+    zz: (f) => f.abbr,
+    z: (f) => f.abbr,
+    X: (f) => String(Math.floor(f.unixMs / 1000)),
+    x: (f) => String(f.unixMs),
+  };
+  const MOMENT_TOKEN = new RegExp('\\[([^\\]]*)\\]|S{1,9}|' +
+    Object.keys(MOMENT).sort((a, b) => b.length - a.length).join('|') + '|[^\\[A-Za-z]+|.', 'y');
+
+  function compilePattern(syntax, pattern) {
+    // → { parts } of literal strings and field functions, or { error }
+    const parts = [];
+    let m;
+    if (syntax === 'strftime') {
+      const re = /%(-?)(:z|[A-Za-z%])|[^%]+|%/y;
+      while (re.lastIndex < pattern.length && (m = re.exec(pattern))) {
+        if (!m[2]) {
+          parts.push(m[0]);
+          continue;
+        }
+        const fn = STRFTIME[m[2]];
+        if (!fn) return { error: 'Unknown conversion ' + m[0] };
+        // GNU "%-d" drops the padding
+        parts.push(m[1] ? (f) => fn(f).replace(/^[0 ]+(?=\d)/, '') : fn);
+      }
+    } else if (syntax === 'java') {
+      const re = /'((?:[^']|'')*)'|([A-Za-z])\2*|[^'A-Za-z]+/y;
+      while (re.lastIndex < pattern.length) {
+        if (!(m = re.exec(pattern))) return { error: 'Unterminated quote' };
+        if (m[1] !== undefined) {
+          parts.push(m[1] ? m[1].replace(/''/g, "'") : "'");
+        } else if (m[2]) {
+          const fn = JAVA[m[2]];
+          if (!fn) return { error: 'Unsupported pattern letter ' + m[2] };
+          const n = m[0].length;
+          parts.push((f) => fn(f, n));
+        } else {
+          parts.push(m[0]);
+        }
+      }
+    } else {
+      MOMENT_TOKEN.lastIndex = 0;
+      while (MOMENT_TOKEN.lastIndex < pattern.length && (m = MOMENT_TOKEN.exec(pattern))) {
+        if (m[1] !== undefined) {
+          parts.push(m[1]);
+        } else if (m[0][0] === 'S') {
+          const n = m[0].length;
+          parts.push((f) => f.fraction.slice(0, n));
+        } else {
+          parts.push(MOMENT[m[0]] || m[0]);
+        }
+      }
+    }
+    return { parts };
+  }
+
+  function formatPattern(parts, date, tz, nanos) {
+    const f = patternFields(date, tz, nanos);
+    return parts.map((part) => (typeof part === 'string' ? part : part(f))).join('');
+  }
+
+  // Output rows in display order; ids match the data-format of the rows in index.html
+  const OUTPUT_FORMATS = [
+    { id: 'unix-s', label: 'Unix (s)', format: (date) => formatUnixS(date) },
+    { id: 'unix-ms', label: 'Unix (ms)', format: (date) => formatUnixMs(date) },
+    { id: 'unix-us', label: 'Unix (\u00b5s)', format: (date, tz, nanos) => formatUnixUs(date, nanos) },
+    { id: 'unix-ns', label: 'Unix (ns)', format: (date, tz, nanos) => formatUnixNs(date, nanos) },
+    { id: 'iso', label: 'ISO 8601', format: (date, tz, nanos) => formatISO(date, nanos) },
+    { id: 'iso-tz', label: 'ISO 8601 (offset)', format: formatISOWithOffset },
+    { id: 'rfc', label: 'RFC 2822', format: formatRFC2822 },
+    { id: 'sql', label: 'SQL datetime', format: formatSQL },
+    { id: 'relative', label: 'Relative', format: (date) => formatLocalRelative(date) },
+    { id: 'human', label: 'Human-readable', format: (date, tz) => formatHuman(date, tz) },
+    { id: 'iso-week', label: 'ISO week date', optional: true, format: formatISOWeek },
+    { id: 'ordinal', label: 'Ordinal date', optional: true, format: formatOrdinal },
+    { id: 'quarter', label: 'Quarter', optional: true, format: formatQuarter },
+    { id: 'http', label: 'HTTP date (RFC 7231)', optional: true, format: (date) => formatHTTPDate(date) },
+    { id: 'cookie', label: 'Set-Cookie Expires', optional: true, format: (date) => 'Expires=' + formatHTTPDate(date) },
+    { id: 'rfc850', label: 'RFC 850 (obsolete)', optional: true, format: (date) => formatRFC850(date) },
+    { id: 'asctime', label: 'asctime', optional: true, format: (date) => formatAsctime(date) },
+    { id: 'rfc3339', label: 'RFC 3339', optional: true, format: formatRFC3339 },
+    { id: 'protobuf', label: 'Protobuf Timestamp', optional: true, format: formatProtobuf },
+    { id: 'mongo', label: 'MongoDB $date', optional: true, format: (date) => formatMongoDate(date) },
+    { id: 'ulid', label: 'ULID (lower bound)', optional: true, format: (date) => formatULIDBound(date) },
+    { id: 'uuid7', label: 'UUIDv7 (lower bound)', optional: true, format: (date) => formatUUIDv7Bound(date) },
+    { id: 'objectid', label: 'ObjectId (lower bound)', optional: true, format: (date) => formatObjectIdBound(date) },
+    ...EPOCHS.map((e) => ({
+      id: e.id,
+      label: e.label,
+      optional: true,
+      format: (date, tz, nanos) => toEpochCount(e, date, nanos, tz),
+    })),
+    ...SQL_DIALECTS.map((d) => ({ ...d, optional: true })),
+  ];
+
+  // ── Code snippets ───────────────────────────────────────
+
+  function snippetParts(date, tz, nanos) {
+    // Epoch seconds (floored) with the nanoseconds past them, plus the wall
+    // clock in tz and whether it is the second pass through a repeated hour
+    const split = splitEpochSeconds(date, nanos);
+    const p = getPartsInTz(date, tz);
+    const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    const r = resolveWallClock(wall, tz);
+    return {
+      ...p,
+      ...split,
+      later: r.kind === 'overlap' && Number(split.seconds) * 1000 === r.instants[1],
+    };
+  }
+
+  const SNIPPETS = [
+    {
+      id: 'js-date',
+      label: 'JavaScript (Date)',
+      code: (date, tz, nanos) => [
+        ...(nanos ? ['// Date keeps milliseconds; Temporal keeps the rest'] : []),
+        "const date = new Date('" + formatISO(date, 0) + "');",
+        "date.toLocaleString('en-US', { timeZone: '" + tz + "' });",
+      ],
+    },
+    {
+      id: 'js-temporal',
+      label: 'JavaScript (Temporal)',
+      code: (date, tz, nanos) => [
+        "const zoned = Temporal.ZonedDateTime.from('" + formatISOWithOffset(date, tz, nanos) + '[' + tz + "]');",
+        'const instant = zoned.toInstant();',
+      ],
+    },
+    {
+      id: 'python',
+      label: 'Python (datetime)',
+      code: (date, tz, nanos) => {
+        const s = snippetParts(date, tz, nanos);
+        return [
+          'from datetime import datetime',
+          'from zoneinfo import ZoneInfo',
+          '',
+          ...(s.nanos % 1000 ? ['# datetime keeps microseconds'] : []),
+          'dt = datetime(' + [s.year, s.month, s.day, s.hour, s.minute, s.second, Math.floor(s.nanos / 1000)].join(', ') +
+            ', tzinfo=ZoneInfo("' + tz + '")' + (s.later ? ', fold=1' : '') + ')',
+        ];
+      },
+    },
+    {
+      id: 'go',
+      label: 'Go (time)',
+      code: (date, tz, nanos) => {
+        const s = snippetParts(date, tz, nanos);
+        return [
+          'loc, err := time.LoadLocation("' + tz + '")',
+          'if err != nil {',
+          '\tlog.Fatal(err)',
+          '}',
+          // time.Date may pick either side of a repeated hour
+          s.later
+            ? 't := time.Unix(' + s.seconds + ', ' + s.nanos + ').In(loc)'
+            : 't := time.Date(' + s.year + ', time.' + MONTH_NAMES[s.month - 1] + ', ' +
+              [s.day, s.hour, s.minute, s.second, s.nanos].join(', ') + ', loc)',
+        ];
+      },
+    },
+    {
+      id: 'java',
+      label: 'Java (java.time)',
+      code: (date, tz, nanos) => {
+        const s = snippetParts(date, tz, nanos);
+        return [
+          'Instant instant = Instant.parse("' + formatISO(date, nanos) + '");',
+          'ZonedDateTime zoned = ZonedDateTime.of(' + [s.year, s.month, s.day, s.hour, s.minute, s.second, s.nanos].join(', ') +
+            ', ZoneId.of("' + tz + '"))' + (s.later ? '.withLaterOffsetAtOverlap()' : '') + ';',
+        ];
+      },
+    },
+    {
+      id: 'csharp',
+      label: 'C# (DateTimeOffset)',
+      code: (date, tz, nanos) => {
+        const s = snippetParts(date, tz, nanos);
+        let ticks = s.total / 100n;
+        if (s.total % 100n < 0n) ticks -= 1n;
+        return [
+          ...(s.total % 100n ? ['// DateTimeOffset keeps 100 ns ticks'] : []),
+          'var instant = DateTimeOffset.UnixEpoch.AddTicks(' + ticks + ');',
+          'var zone = TimeZoneInfo.FindSystemTimeZoneById("' + tz + '");',
+          'var local = TimeZoneInfo.ConvertTime(instant, zone);',
+        ];
+      },
+    },
+    {
+      id: 'rust',
+      label: 'Rust (chrono)',
+      code: (date, tz, nanos) => {
+        const s = snippetParts(date, tz, nanos);
+        return [
+          'use chrono::DateTime;',
+          'use chrono_tz::Tz;',
+          '',
+          'let utc = DateTime::from_timestamp(' + s.seconds + ', ' + s.nanos + ').unwrap();',
+          'let zoned = utc.with_timezone(&"' + tz + '".parse::<Tz>().unwrap());',
+        ];
+      },
+    },
+    {
+      id: 'shell',
+      label: 'Shell (GNU date)',
+      code: (date, tz, nanos) => [
+        'TZ=' + tz + ' date -d @' + decimalSeconds(snippetParts(date, tz, nanos).total) + " '+%Y-%m-%dT%H:%M:%S.%N%:z'",
+      ],
+    },
+  ];
+
+  // ── UI updates ──────────────────────────────────────────
+
+  function updateOutputs() {
+    if (currentInterval) {
+      updateDuration();
+      return;
+    }
+    if (!currentDate) {
+      grayOut();
+      return;
+    }
+    durationSection.hidden = true;
+    outputSection.hidden = false;
+    outputSection.classList.remove('inactive');
+    for (const fmt of OUTPUT_FORMATS) {
+      if (fmt.optional && !extraRows.includes(fmt.id)) continue;
+      outputs[fmt.id].textContent = fmt.format(currentDate, currentTimezone, currentNanos);
+    }
+    renderCustomPreview();
+    renderLocalePreview();
+    renderWorldClock();
+    renderSnippets();
+    renderTokenPanel();
+    renderCronPanel();
+    renderTransitionsPanel();
+    renderCountdown();
+  }
+
+  function updateDuration() {
+    const { start, end, startNanos, endNanos } = currentInterval;
+    const diffMs = end - start;
+    outputSection.hidden = true;
+    durationSection.hidden = false;
+    durationOutputs.start.textContent = formatISOWithOffset(start, currentTimezone, startNanos);
+    durationOutputs.end.textContent = formatISOWithOffset(end, currentTimezone, endNanos);
+    durationOutputs.seconds.textContent = decimalSeconds(BigInt(diffMs) * 1000000n + BigInt(endNanos - startNanos));
+    durationOutputs.ms.textContent = String(diffMs);
+    durationOutputs.minutes.textContent = formatDecimal(diffMs / 60000);
+    durationOutputs.hours.textContent = formatDecimal(diffMs / 3600000);
+    durationOutputs.days.textContent = formatDecimal(diffMs / 86400000);
+    const diff = calendarDiff(start, end, currentTimezone, startNanos, endNanos);
+    durationOutputs.breakdown.textContent = formatBreakdown(diff);
+    durationOutputs.iso.textContent = formatISODuration(diff);
+    renderTransitionsPanel();
+    renderCountdown();
+  }
+
+  function renderExtraRows() {
+    // Optional formats get their output rows and picker entries from OUTPUT_FORMATS
+    extraRowsPicker.innerHTML = '';
+    for (const fmt of OUTPUT_FORMATS.filter((f) => f.optional)) {
+      if (!outputs[fmt.id]) {
+        const row = document.createElement('div');
+        row.className = 'output-row';
+        row.setAttribute('data-format', fmt.id);
+        const label = document.createElement('span');
+        label.className = 'output-label';
+        label.textContent = fmt.label;
+        const value = document.createElement('span');
+        value.className = 'output-value';
+        value.id = 'out-' + fmt.id;
+        value.textContent = '\u2014';
+        const copy = document.createElement('button');
+        copy.className = 'copy-btn';
+        copy.type = 'button';
+        copy.setAttribute('data-target', value.id);
+        copy.textContent = 'Copy';
+        row.append(label, value, copy);
+        outputSection.appendChild(row);
+        outputs[fmt.id] = value;
+      }
+      const row = outputs[fmt.id].parentElement;
+      row.hidden = !extraRows.includes(fmt.id);
+      row.querySelector('.output-label').textContent = fmt.label;
+
+      const option = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = fmt.id;
+      box.checked = extraRows.includes(fmt.id);
+      option.append(box, ' ' + fmt.label);
+      if (!fmt.custom) {
+        extraRowsPicker.appendChild(option);
+        continue;
+      }
+      // Custom rows can be edited or removed; buttons sit outside the label
+      const entry = document.createElement('span');
+      entry.className = 'custom-format-entry';
+      entry.appendChild(option);
+      for (const [action, label, title] of [['edit', 'Edit', 'Edit'], ['remove', '\u00D7', 'Remove']]) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = label;
+        btn.title = title;
+        btn.setAttribute('aria-label', title + ' ' + fmt.label);
+        btn.setAttribute('data-custom-action', action);
+        btn.setAttribute('data-id', fmt.id);
+        entry.appendChild(btn);
+      }
+      extraRowsPicker.appendChild(entry);
+    }
+  }
+
+  function registerCustomFormat(c) {
+    // Custom rows join OUTPUT_FORMATS as optional rows, so they get a picker
+    // entry, a batch column and a copy button like the built-in ones
+    const { parts } = compilePattern(c.syntax, c.pattern);
+    const fmt = {
+      id: c.id,
+      label: c.label || c.pattern,
+      optional: true,
+      custom: true,
+      format: (date, tz, nanos) => formatPattern(parts, date, tz, nanos),
+    };
+    const i = OUTPUT_FORMATS.findIndex((f) => f.id === c.id);
+    if (i >= 0) OUTPUT_FORMATS[i] = fmt;
+    else OUTPUT_FORMATS.push(fmt);
+  }
+
+  function saveCustomFormat() {
+    const pattern = customPattern.value;
+    if (!pattern.trim() || compilePattern(customSyntax.value, pattern).error) return;
+    const id = editingFormat ||
+      'custom-' + (Math.max(0, ...customFormats.map((c) => parseInt(c.id.slice(7), 10))) + 1);
+    const c = { id, syntax: customSyntax.value, pattern, label: customLabel.value.trim() };
+    const i = customFormats.findIndex((x) => x.id === id);
+    if (i >= 0) {
+      customFormats[i] = c;
+    } else {
+      customFormats.push(c);
+      extraRows.push(id);
+      savePref('extraRows', extraRows.join(','));
+    }
+    savePref('customFormats', JSON.stringify(customFormats));
+    registerCustomFormat(c);
+    resetCustomEditor();
+    renderExtraRows();
+    renderBatchColumns();
+    updateOutputs();
+    if (mode === 'batch') onBatchInput();
+  }
+
+  function editCustomFormat(id) {
+    const c = customFormats.find((x) => x.id === id);
+    if (!c) return;
+    editingFormat = id;
+    customSyntax.value = c.syntax;
+    customPattern.value = c.pattern;
+    customLabel.value = c.label;
+    customSubmit.textContent = 'Save row';
+    renderCustomPreview();
+    customPattern.focus();
+  }
+
+  function removeOptionalRow(id) {
+    // Drops a user-defined row from OUTPUT_FORMATS, the output list and the
+    // row and column choices; the caller forgets its own definition
+    OUTPUT_FORMATS.splice(OUTPUT_FORMATS.findIndex((f) => f.id === id), 1);
+    outputs[id].parentElement.remove();
+    delete outputs[id];
+    extraRows = extraRows.filter((x) => x !== id);
+    batchColumns = batchColumns.filter((x) => x !== id);
+    savePref('extraRows', extraRows.join(','));
+    savePref('batchColumns', batchColumns.join(','));
+    renderExtraRows();
+    renderBatchColumns();
+    if (mode === 'batch') onBatchInput();
+  }
+
+  function removeCustomFormat(id) {
+    customFormats = customFormats.filter((c) => c.id !== id);
+    savePref('customFormats', JSON.stringify(customFormats));
+    if (editingFormat === id) resetCustomEditor();
+    removeOptionalRow(id);
+  }
+
+  function resetCustomEditor() {
+    editingFormat = null;
+    customPattern.value = '';
+    customLabel.value = '';
+    customSubmit.textContent = 'Add row';
+    renderCustomPreview();
+  }
+
+  function renderCustomPreview() {
+    // Live preview of the pattern against the current input, or now
+    const pattern = customPattern.value;
+    const { parts, error } = compilePattern(customSyntax.value, pattern);
+    customPattern.placeholder = PATTERN_SYNTAXES[customSyntax.value].example;
+    customSubmit.disabled = !pattern.trim() || !!error;
+    customPreview.classList.toggle('error', !!error);
+    if (!pattern) customPreview.textContent = '';
+    else if (error) customPreview.textContent = error;
+    else customPreview.textContent = formatPattern(parts, currentDate || new Date(), currentTimezone, currentDate ? currentNanos : 0);
+  }
+
+  function registerLocaleRow(r) {
+    // Extra locales join OUTPUT_FORMATS as optional rows, like custom rows
+    const fmt = {
+      id: r.id,
+      label: 'Human-readable (' + describeLocale(r) + ')',
+      optional: true,
+      format: (date, tz) => formatHuman(date, tz, r),
+    };
+    const i = OUTPUT_FORMATS.findIndex((f) => f.id === r.id);
+    if (i >= 0) OUTPUT_FORMATS[i] = fmt;
+    else OUTPUT_FORMATS.push(fmt);
+  }
+
+  function localeFormSetting() {
+    return {
+      locale: localeTag.value.trim() || 'en-US',
+      calendar: localeCalendar.value,
+      numbering: localeNumbering.value,
+      hours: localeHours.value,
+      dateStyle: localeDateStyle.value,
+      timeStyle: localeTimeStyle.value,
+    };
+  }
+
+  function renderLocaleForm() {
+    localeTag.value = localeSetting.locale;
+    localeCalendar.value = localeSetting.calendar;
+    localeNumbering.value = localeSetting.numbering;
+    localeHours.value = localeSetting.hours;
+    localeDateStyle.value = localeSetting.dateStyle;
+    localeTimeStyle.value = localeSetting.timeStyle;
+    renderLocaleRows();
+    renderLocalePreview();
+  }
+
+  function onLocaleInput() {
+    // The form drives the Human-readable and Relative rows; an unknown locale is not saved
+    const setting = localeFormSetting();
+    if (isValidLocaleSetting(setting)) {
+      localeSetting = setting;
+      savePref('locale', JSON.stringify(localeSetting));
+      updateOutputs();
+    }
+    renderLocalePreview();
+  }
+
+  function renderLocalePreview() {
+    const setting = localeFormSetting();
+    const valid = isValidLocaleSetting(setting);
+    localeAdd.disabled = !valid;
+    localePreview.classList.toggle('error', !valid);
+    const date = currentDate || new Date();
+    localePreview.textContent = valid
+      ? formatHuman(date, currentTimezone, setting) + ' \u00b7 ' + formatLocalRelative(date, setting)
+      : 'Unknown locale ' + setting.locale;
+  }
+
+  function addLocaleRow() {
+    const setting = localeFormSetting();
+    if (!isValidLocaleSetting(setting)) return;
+    const id = 'locale-' + (Math.max(0, ...localeRows.map((r) => parseInt(r.id.slice(7), 10))) + 1);
+    const r = { id, ...setting };
+    localeRows.push(r);
+    extraRows.push(id);
+    savePref('localeRows', JSON.stringify(localeRows));
+    savePref('extraRows', extraRows.join(','));
+    registerLocaleRow(r);
+    renderExtraRows();
+    renderBatchColumns();
+    renderLocaleRows();
+    updateOutputs();
+  }
+
+  function removeLocaleRow(id) {
+    localeRows = localeRows.filter((r) => r.id !== id);
+    savePref('localeRows', JSON.stringify(localeRows));
+    removeOptionalRow(id);
+    renderLocaleRows();
+  }
+
+  function renderLocaleRows() {
+    localeRowList.innerHTML = '';
+    for (const r of localeRows) {
+      const li = document.createElement('li');
+      li.className = 'custom-format-entry';
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = '\u00D7';
+      btn.title = 'Remove';
+      btn.setAttribute('aria-label', 'Remove ' + describeLocale(r));
+      btn.setAttribute('data-id', r.id);
+      li.append(describeLocale(r), btn);
+      localeRowList.appendChild(li);
+    }
+  }
+
+  function renderInputPatterns() {
+    // The built-in formats sit between the patterns tried first and last
+    inputPatternList.innerHTML = '';
+    const order = [...inputPatterns.filter((p) => p.first), null, ...inputPatterns.filter((p) => !p.first)];
+    for (const p of order) {
+      const li = document.createElement('li');
+      if (!p) {
+        li.className = 'input-pattern builtin';
+        li.textContent = 'Built-in formats';
+        inputPatternList.appendChild(li);
+        continue;
+      }
+      li.className = 'input-pattern';
+      const name = document.createElement('span');
+      name.className = 'input-pattern-name';
+      name.textContent = p.name;
+      const code = document.createElement('code');
+      code.textContent = p.pattern;
+      const zone = document.createElement('span');
+      zone.className = 'input-pattern-zone';
+      zone.textContent = p.zone || 'input timezone';
+      const controls = document.createElement('span');
+      controls.className = 'pinned-controls';
+      for (const [action, label, title] of [['up', '\u2191', 'Move up'], ['down', '\u2193', 'Move down'], ['edit', '\u270E', 'Edit'], ['remove', '\u00D7', 'Remove']]) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = label;
+        btn.title = title;
+        btn.setAttribute('aria-label', title + ' ' + p.name);
+        btn.setAttribute('data-pattern-action', action);
+        btn.setAttribute('data-id', p.id);
+        controls.appendChild(btn);
+      }
+      li.append(name, code, zone, controls);
+      inputPatternList.appendChild(li);
+    }
+  }
+
+  function inputPatternsChanged() {
+    savePref('inputPatterns', JSON.stringify(inputPatterns));
+    buildInputDetectors();
+    renderInputPatterns();
+    reparse();
+  }
+
+  function moveInputPattern(id, dir) {
+    // Moving past the built-ins flips whether a pattern is tried before them
+    const order = [...inputPatterns.filter((p) => p.first), null, ...inputPatterns.filter((p) => !p.first)];
+    const i = order.findIndex((p) => p && p.id === id);
+    const j = i + dir;
+    if (j < 0 || j >= order.length) return;
+    [order[i], order[j]] = [order[j], order[i]];
+    const marker = order.indexOf(null);
+    inputPatterns = order.flatMap((p, k) => (p ? [{ ...p, first: k < marker }] : []));
+    inputPatternsChanged();
+  }
+
+  function saveInputPattern() {
+    const name = inputPatternName.value.trim();
+    const pattern = inputPatternText.value;
+    if (!name || !pattern.trim() || compileInputPattern(inputPatternSyntax.value, pattern).error) return;
+    const existing = inputPatterns.find((p) => p.id === editingPattern);
+    const p = {
+      id: editingPattern || 'pattern-' + (Math.max(0, ...inputPatterns.map((x) => parseInt(x.id.slice(8), 10))) + 1),
+      name,
+      syntax: inputPatternSyntax.value,
+      pattern,
+      zone: inputPatternZone.value,
+      first: existing ? existing.first : true,
+    };
+    // New patterns are tried first, after the ones already there
+    if (existing) inputPatterns[inputPatterns.indexOf(existing)] = p;
+    else inputPatterns.splice(inputPatterns.filter((x) => x.first).length, 0, p);
+    resetInputPatternEditor();
+    inputPatternsChanged();
+  }
+
+  function editInputPattern(id) {
+    const p = inputPatterns.find((x) => x.id === id);
+    if (!p) return;
+    editingPattern = id;
+    inputPatternName.value = p.name;
+    inputPatternSyntax.value = p.syntax;
+    inputPatternText.value = p.pattern;
+    inputPatternZone.value = p.zone;
+    inputPatternSubmit.textContent = 'Save pattern';
+    renderInputPatternPreview();
+    inputPatternText.focus();
+  }
+
+  function removeInputPattern(id) {
+    inputPatterns = inputPatterns.filter((p) => p.id !== id);
+    if (editingPattern === id) resetInputPatternEditor();
+    inputPatternsChanged();
+  }
+
+  function resetInputPatternEditor() {
+    editingPattern = null;
+    inputPatternName.value = '';
+    inputPatternText.value = '';
+    inputPatternZone.value = '';
+    inputPatternSubmit.textContent = 'Add pattern';
+    renderInputPatternPreview();
+  }
+
+  function renderInputPatternPreview() {
+    // Which field each token captured from the sample, and the instant read
+    const syntax = inputPatternSyntax.value;
+    const pattern = inputPatternText.value;
+    const sample = inputPatternSample.value.trim();
+    const compiled = compileInputPattern(syntax, pattern);
+    inputPatternText.placeholder = INPUT_SYNTAXES[syntax].example;
+    inputPatternSubmit.disabled = !inputPatternName.value.trim() || !pattern.trim() || !!compiled.error;
+    inputPatternPreview.replaceChildren();
+    inputPatternPreview.classList.toggle('error', !!compiled.error);
+    if (!pattern.trim() || !sample) return;
+    if (compiled.error) {
+      inputPatternPreview.textContent = compiled.error;
+      return;
+    }
+    const captures = matchInputPattern(compiled, sample);
+    if (!captures) {
+      const stop = patternStop(compiled, sample);
+      inputPatternPreview.textContent = stop
+        ? 'No match: the sample stops matching at ' + stop
+        : 'No match: the sample goes on after the pattern ends';
+      return;
+    }
+    const table = document.createElement('table');
+    table.className = 'pattern-captures';
+    for (const c of captures) {
+      const tr = document.createElement('tr');
+      for (const text of [c.token, c.value, CAPTURE_LABELS[c.field]]) {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      table.appendChild(tr);
+    }
+    const r = readInputPattern(captures, syntax, inputPatternZone.value);
+    const result = document.createElement('div');
+    result.textContent = r ? '\u2192 ' + formatISO(r.date, r.nanos) : 'Not a valid date';
+    inputPatternPreview.append(table, result);
+  }
+
+  function renderSnowflakeForm() {
+    // Presets show their values read-only; custom ones are edited in place
+    const layout = snowflakeLayout(snowflakeConfig);
+    const preset = SNOWFLAKE_PRESETS[snowflakeConfig.preset];
+    snowflakePreset.value = snowflakeConfig.preset;
+    snowflakeEpoch.disabled = snowflakeLayoutInput.disabled = !!preset;
+    if (preset || document.activeElement !== snowflakeEpoch) snowflakeEpoch.value = (preset || snowflakeConfig).epoch;
+    if (preset || document.activeElement !== snowflakeLayoutInput) snowflakeLayoutInput.value = (preset || snowflakeConfig).layout;
+    renderSnowflakePreview(layout);
+  }
+
+  function renderSnowflakePreview(layout) {
+    snowflakePreview.classList.toggle('error', !!layout.error);
+    if (layout.error) {
+      snowflakePreview.textContent = layout.error;
+      return;
+    }
+    const bits = 63 - layout.fields.reduce((sum, [, b]) => sum + b, 0);
+    snowflakePreview.textContent = bits + ' timestamp bits counting ' + (layout.unit === 1 ? 'ms' : layout.unit + ' ms') +
+      ' from ' + new Date(layout.epoch).toISOString();
+  }
+
+  function onSnowflakeInput() {
+    let config;
+    if (snowflakePreset.value !== 'custom') {
+      config = { preset: snowflakePreset.value, epoch: 0, layout: '' };
+    } else if (snowflakeConfig.preset !== 'custom') {
+      // Start a custom layout from the preset it replaces
+      const from = SNOWFLAKE_PRESETS[snowflakeConfig.preset];
+      config = { preset: 'custom', epoch: from.epoch, layout: from.layout };
+    } else {
+      config = { preset: 'custom', epoch: Number(snowflakeEpoch.value.trim()), layout: snowflakeLayoutInput.value };
+    }
+    const layout = snowflakeLayout(config);
+    if (layout.error) {
+      renderSnowflakePreview(layout);
+      return;
+    }
+    snowflakeConfig = config;
+    savePref('snowflake', JSON.stringify(config));
+    renderSnowflakeForm();
+    reparse();
+  }
+
+  function populatePatternZones() {
+    for (const tz of allTimezones) {
+      const option = document.createElement('option');
+      option.value = tz;
+      option.textContent = tz;
+      inputPatternZone.appendChild(option);
+    }
+  }
+
+  function grayOut() {
+    durationSection.hidden = true;
+    outputSection.hidden = false;
+    outputSection.classList.add('inactive');
+    Object.values(outputs).forEach((el) => {
+      el.textContent = '\u2014';
+    });
+    renderCustomPreview();
+    renderLocalePreview();
+    renderWorldClock();
+    renderSnippets();
+    renderTokenPanel();
+    renderCronPanel();
+    renderTransitionsPanel();
+    renderCountdown();
+  }
+
+  function renderTokenPanel() {
+    // One row per NumericDate claim; clicking a claim makes it the instant
+    tokenPanel.hidden = !currentToken || !currentDate;
+    if (tokenPanel.hidden) return;
+    const formats = CLAIM_FORMATS.map((id) => OUTPUT_FORMATS.find((f) => f.id === id));
+    if (!tokenHead.children.length) {
+      const row = document.createElement('tr');
+      for (const label of ['Claim', 'Value', ...formats.map((f) => f.label), 'Status']) {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = label;
+        row.appendChild(th);
+      }
+      tokenHead.appendChild(row);
+    }
+    const shown = currentToken.claims.find((c) => c.date.getTime() === currentDate.getTime());
+    tokenClaims.innerHTML = '';
+    for (const claim of currentToken.claims) {
+      const row = document.createElement('tr');
+      row.classList.toggle('current', claim === shown);
+      const name = document.createElement('button');
+      name.type = 'button';
+      name.className = 'token-claim';
+      name.textContent = claim.name;
+      name.title = 'Show ' + claim.name + ' as the instant';
+      name.setAttribute('data-claim', claim.name);
+      name.setAttribute('aria-pressed', String(claim === shown));
+      const cells = [
+        name,
+        String(claim.value),
+        ...formats.map((f) => f.format(claim.date, currentTimezone, 0)),
+        claimStatus(claim.name, claim.date),
+      ];
+      for (const content of cells) {
+        const cell = document.createElement('td');
+        cell.append(content);
+        row.appendChild(cell);
+      }
+      tokenClaims.appendChild(row);
+    }
+    const iat = currentToken.claims.find((c) => c.name === 'iat');
+    const exp = currentToken.claims.find((c) => c.name === 'exp');
+    tokenLifetime.hidden = !iat || !exp;
+    if (iat && exp) {
+      tokenLifetime.textContent = 'Lifetime (exp \u2212 iat): ' + formatBreakdown(calendarDiff(iat.date, exp.date, 'UTC')) +
+        ' (' + formatDecimal(exp.value - iat.value) + ' s)';
+    }
+    tokenJSON.textContent = JSON.stringify(currentToken.header, null, 2) + '\n' + JSON.stringify(currentToken.payload, null, 2);
+  }
+
+  function renderCronPanel() {
+    // Next and previous runs in the schedule timezone, shown in currentTimezone
+    cronPanel.hidden = !currentCron || !currentDate;
+    if (cronPanel.hidden) return;
+    const zone = currentCron.zone || cronTimezone;
+    const ref = cronReference();
+    cronTzSearch.disabled = !!currentCron.zone;
+    cronTzSearch.title = currentCron.zone ? 'Set by CRON_TZ= in the expression' : 'Timezone the schedule runs in';
+    cronDialectField.hidden = !currentCron.dialectChoice;
+    cronSummary.textContent = currentCron.description + ', in ' + zone + (ref.invalid
+      ? '. The From time is not recognized; counting from now.'
+      : ', counting from ' + ref.text + '.');
+    for (const [list, direction] of [[cronNext, 1], [cronPrev, -1]]) {
+      list.innerHTML = '';
+      const runs = cronRuns(currentCron, zone, ref.date, cronCount, direction);
+      if (!runs.length) {
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.textContent = 'No runs within ' + Math.round(CRON_HORIZON_DAYS / 365.25) + ' years';
+        row.appendChild(cell);
+        list.appendChild(row);
+      }
+      for (const run of runs) {
+        const date = new Date(run.ms);
+        const w = new Date(run.wall);
+        const time = pad2(w.getUTCHours()) + ':' + pad2(w.getUTCMinutes()) + (w.getUTCSeconds() ? ':' + pad2(w.getUTCSeconds()) : '');
+        const unix = currentCron.flavor !== 'Quartz' && currentCron.flavor !== 'Spring';
+        const note = {
+          gap: time + ' does not exist in ' + zone + ' (clocks skip forward); ' +
+            (unix ? 'cronie runs it right after the jump' : 'Quartz and Spring shift it past the jump'),
+          overlap: time + ' occurs twice in ' + zone + ' (clocks fall back); ' +
+            (unix && currentCron.wildcard ? 'first pass' : 'runs once, on the first pass'),
+          repeat: time + ' occurs twice in ' + zone + ' (clocks fall back); cronie runs wildcard jobs again',
+        }[run.kind];
+        const row = document.createElement('tr');
+        row.classList.toggle('dst', !!run.kind);
+        for (const content of [formatISOWithOffset(date, currentTimezone, 0), formatHuman(date, currentTimezone), note || formatLocalRelative(date)]) {
+          const cell = document.createElement('td');
+          cell.textContent = content;
+          row.appendChild(cell);
+        }
+        list.appendChild(row);
+      }
+    }
+  }
+
+  function renderTransitionsPanel() {
+    // Offset changes around the instant in the selected timezone
+    transitionsPanel.hidden = !currentDate;
+    if (transitionsPanel.hidden) return;
+    const tz = currentTimezone;
+    const ms = currentDate.getTime();
+    const row = (cells, className) => {
+      const tr = document.createElement('tr');
+      if (className) tr.className = className;
+      for (const content of cells) {
+        const cell = document.createElement('td');
+        cell.textContent = content;
+        tr.appendChild(cell);
+      }
+      return tr;
+    };
+    const describe = (t) => {
+      const abbrs = [getTzAbbrev(new Date(t.at - 1000), tz), getTzAbbrev(new Date(t.at), tz)];
+      return [
+        formatISO(new Date(t.at), 0),
+        formatOffsetHHMM(t.from) + ' \u2192 ' + formatOffsetHHMM(t.to),
+        abbrs[0] === abbrs[1] ? abbrs[0] : abbrs.join(' \u2192 '),
+        'clocks ' + formatShift(t),
+      ];
+    };
+    const away = (t) => formatBreakdown(calendarDiff(new Date(Math.min(ms, t.at)), new Date(Math.max(ms, t.at)), 'UTC'));
+    transitionsZone.textContent = tz;
+
+    const prev = adjacentTransition(tz, ms, -1);
+    const next = adjacentTransition(tz, ms, 1);
+    const [near] = [prev, next].filter((t) => t && Math.abs(t.at - ms) < TRANSITION_WARN_HOURS * 3600000)
+      .sort((a, b) => Math.abs(a.at - ms) - Math.abs(b.at - ms));
+    transitionsWarning.hidden = !near;
+    if (near) {
+      const past = near.at <= ms;
+      transitionsWarning.textContent = away(near) + (past ? ' after clocks went ' : ' before clocks go ') + formatShift(near) +
+        ' in ' + tz + ' (' + formatOffsetHHMM(near.from) + ' \u2192 ' + formatOffsetHHMM(near.to) + '): local times ' +
+        shiftedWallClock(near) + (near.to > near.from ? ' are skipped' : ' occur twice') + ' that day.';
+    }
+    transitionsNear.innerHTML = '';
+    transitionsNear.append(
+      row(prev ? ['Previous', ...describe(prev), away(prev) + ' before'] : ['Previous', 'No earlier change on record']),
+      row(next ? ['Next', ...describe(next), away(next) + ' after'] : ['Next', 'None within ' + TRANSITION_SCAN_YEARS + ' years']),
+    );
 
-    const seconds = Math.floor(absDiff / 1000);
-    const minutes = Math.floor(seconds / 60);
-    const hours = Math.floor(minutes / 60);
-    const days = Math.floor(hours / 24);
-    const months = Math.floor(days / 30.44);
-    const years = Math.floor(days / 365.25);
+    const year = getPartsInTz(currentDate, tz).year;
+    transitionsYear.textContent = String(year);
+    transitionsTimeline.innerHTML = '';
+    const here = row(['This instant', formatISO(currentDate, 0)], 'current');
+    for (const t of transitionsInLocalYear(tz, year)) {
+      if (t.at > ms && !here.parentNode) transitionsTimeline.appendChild(here);
+      const p = getPartsInTz(new Date(t.at), tz);
+      const day = RFC_DAYS[new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay()] + ' ' + p.day + ' ' + RFC_MONTHS[p.month - 1];
+      transitionsTimeline.appendChild(row([day, ...describe(t)]));
+    }
+    if (!transitionsTimeline.children.length) transitionsTimeline.appendChild(row(['No offset changes in ' + year]));
+    else if (!here.parentNode) transitionsTimeline.appendChild(here);
 
-    let str;
-    if (seconds < 5) str = 'just now';
-    else if (seconds < 60) str = seconds + ' seconds';
-    else if (minutes === 1) str = '1 minute';
-    else if (minutes < 60) str = minutes + ' minutes';
-    else if (hours === 1) str = '1 hour';
-    else if (hours < 24) str = hours + ' hours';
-    else if (days === 1) str = '1 day';
-    else if (days < 30) str = days + ' days';
-    else if (months === 1) str = '1 month';
-    else if (months < 12) str = months + ' months';
-    else if (years === 1) str = '1 year';
-    else str = years + ' years';
-
-    if (str === 'just now') return str;
-    return future ? 'in ' + str : str + ' ago';
-  }
-
-  function formatHuman(date, tz) {
-    return new Intl.DateTimeFormat('en-US', {
-      timeZone: tz,
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-      hour12: true,
-    }).format(date);
+    if (transitionsHistoryDetails.open && transitionsHistory.getAttribute('data-zone') !== tz) renderZoneHistory(tz);
   }
 
-  // ── UI updates ──────────────────────────────────────────
-
-  function updateOutputs() {
-    if (!currentDate) {
-      grayOut();
-      return;
+  function renderZoneHistory(tz) {
+    // Built when opened, and again only when the zone changes
+    const last = new Date().getUTCFullYear() + 1;
+    transitionsHistory.innerHTML = '';
+    transitionsHistory.setAttribute('data-zone', tz);
+    for (const era of zoneHistory(tz)) {
+      const li = document.createElement('li');
+      const years = document.createElement('span');
+      years.className = 'history-years';
+      years.textContent = era.to === last ? 'Since ' + era.from : era.from === era.to ? String(era.from) : era.from + '\u2013' + era.to;
+      li.append(years, era.offsets.map((o) => formatOffsetHHMM(o.minutes) + ' ' + o.abbr).join(', ') +
+        (era.changes ? ' \u00b7 ' + era.changes + (era.changes === 1 ? ' change' : ' changes') : ''));
+      transitionsHistory.appendChild(li);
     }
-    outputSection.classList.remove('inactive');
-    outputs['unix-s'].textContent = formatUnixS(currentDate);
-    outputs['unix-ms'].textContent = formatUnixMs(currentDate);
-    outputs.iso.textContent = formatISO(currentDate);
-    outputs['iso-tz'].textContent = formatISOWithOffset(currentDate, currentTimezone);
-    outputs.rfc.textContent = formatRFC2822(currentDate, currentTimezone);
-    outputs.sql.textContent = formatSQL(currentDate, currentTimezone);
-    outputs.relative.textContent = formatRelative(currentDate);
-    outputs.human.textContent = formatHuman(currentDate, currentTimezone);
   }
 
-  function grayOut() {
-    outputSection.classList.add('inactive');
-    Object.values(outputs).forEach((el) => {
-      el.textContent = '\u2014';
-    });
+  function renderSnippets() {
+    // Blocks are built from SNIPPETS on first use
+    if (!snippetList.children.length) {
+      for (const s of SNIPPETS) {
+        const block = document.createElement('div');
+        block.className = 'snippet';
+        const head = document.createElement('div');
+        head.className = 'snippet-head';
+        const label = document.createElement('span');
+        label.className = 'output-label';
+        label.textContent = s.label;
+        const copy = document.createElement('button');
+        copy.className = 'copy-btn';
+        copy.type = 'button';
+        copy.setAttribute('data-target', 'snippet-' + s.id);
+        copy.textContent = 'Copy';
+        head.append(label, copy);
+        const code = document.createElement('pre');
+        code.className = 'snippet-code';
+        code.id = 'snippet-' + s.id;
+        block.append(head, code);
+        snippetList.appendChild(block);
+      }
+    }
+    snippetList.classList.toggle('inactive', !currentDate);
+    for (const s of SNIPPETS) {
+      $('snippet-' + s.id).textContent = currentDate ? s.code(currentDate, currentTimezone, currentNanos).join('\n') : '\u2014';
+    }
   }
 
   function setFeedback(text) {
@@ -762,6 +4026,59 @@
     if (text) feedback.prepend(document.createTextNode(text));
   }
 
+  function setDetected(result) {
+    detectedEl.textContent = result ? result.format : '\u2014';
+    arithmeticEl.textContent = result && result.arithmetic ? result.arithmetic : '';
+    arithmeticEl.hidden = !arithmeticEl.textContent;
+  }
+
+  function renderChoices(el, text, choices, selected) {
+    // Inline hint with one button per reading; buttons carry data-choice
+    el.hidden = !choices;
+    if (!choices) return;
+    el.replaceChildren(document.createTextNode(text + ' '));
+    choices.forEach((choice, i) => {
+      if (i) el.append(' or ');
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'hint-choice';
+      btn.textContent = choice.label;
+      btn.setAttribute('data-choice', choice.value);
+      btn.setAttribute('aria-pressed', String(choice.value === selected));
+      el.append(btn);
+    });
+  }
+
+  function renderHints(result) {
+    const wallClock = result && result.wallClock;
+    const zoneChoice = result && result.zoneChoice;
+
+    renderChoices(dstHint, wallClock && (wallClock.kind === 'gap'
+      ? 'This time does not exist in ' + wallClock.tz + ' (clocks skip forward). Read as'
+      : 'This time occurs twice in ' + wallClock.tz + ' (clocks fall back). Read as'),
+    wallClock && wallClock.instants.map((date, i) => {
+      const p = getPartsInTz(date, wallClock.tz);
+      const time = [p.hour, p.minute, p.second].map((n) => String(n).padStart(2, '0')).join(':');
+      return { value: i ? 'later' : 'earlier', label: time + ' ' + getTzAbbrev(date, wallClock.tz) };
+    }), dstPick);
+
+    const readingChoice = result && result.readingChoice;
+    readingHint.setAttribute('data-shape', readingChoice ? readingChoice.shape : '');
+    renderChoices(readingHint, readingChoice && 'Read as',
+      readingChoice && readingChoice.readings.map((r) => {
+        const p = getPartsInTz(r.date, currentTimezone);
+        const day = p.year + '-' + String(p.month).padStart(2, '0') + '-' + String(p.day).padStart(2, '0');
+        return { value: r.id, label: r.format + ' \u2192 ' + day };
+      }), readingChoice && readingChoice.picked);
+
+    zoneHint.setAttribute('data-abbr', zoneChoice ? zoneChoice.abbr : '');
+    renderChoices(zoneHint, zoneChoice && zoneChoice.abbr + ' is ambiguous. Read as',
+      zoneChoice && zoneChoice.readings.map((r) => ({
+        value: r.zone,
+        label: r.zone + ' (' + formatOffsetHHMM(r.offset) + ')',
+      })), zoneChoice && zoneChoice.picked);
+  }
+
   function isSlashDate(format) {
     return format && (format.includes('MM/DD') || format.includes('DD/MM'));
   }
@@ -769,44 +4086,602 @@
   function onInput() {
     clearTimeout(debounceTimer);
     debounceTimer = setTimeout(() => {
+      updateUrl();
       const val = input.value;
+      currentInterval = null;
+      currentToken = null;
+      currentCron = null;
+      currentReading = null;
       if (!val.trim()) {
         currentDate = null;
-        detectedEl.textContent = '\u2014';
+        setDetected(null);
         setFeedback('');
         dateFormatHint.hidden = true;
+        renderHints(null);
         grayOut();
         return;
       }
+      const interval = parseInterval(val);
+      if (interval) {
+        currentDate = null;
+        currentInterval = interval;
+        setDetected({ format: 'Interval: ' + interval.format });
+        setFeedback('');
+        dateFormatHint.hidden = !isSlashDate(interval.format);
+        renderHints(null);
+        updateOutputs();
+        return;
+      }
       const result = parseTimestamp(val);
+      currentToken = result.date && result.id === 'JWT' ? decodeJWT(val.trim()) : null;
+      currentCron = result.date && result.id === 'Cron' && !result.arithmetic ? compileCron(val.trim()) : null;
       if (result.date) {
         currentDate = result.date;
-        detectedEl.textContent = result.format;
-        setFeedback('');
+        currentReading = result.id;
+        currentNanos = result.nanos;
+        setDetected(result);
+        setFeedback(result.warning || '');
         dateFormatHint.hidden = !isSlashDate(result.format);
+        renderHints(result);
         updateOutputs();
       } else {
         currentDate = null;
-        detectedEl.textContent = '\u2014';
+        setDetected(null);
         setFeedback('Unrecognized format');
         dateFormatHint.hidden = true;
+        renderHints(null);
         grayOut();
       }
     }, 150);
   }
 
+  function reparse() {
+    if (mode === 'batch') onBatchInput();
+    else if (mode === 'log') onLogInput();
+    else if (input.value.trim()) onInput();
+  }
+
+  // ── World clock ─────────────────────────────────────────
+
+  function savePinnedZones() {
+    savePref('pinnedZones', JSON.stringify(pinnedZones));
+  }
+
+  function pinZone(tz) {
+    if (!pinnedZones.includes(tz)) pinnedZones.push(tz);
+    savePinnedZones();
+    renderWorldClock();
+  }
+
+  function movePinnedZone(index, delta) {
+    const target = index + delta;
+    if (target < 0 || target >= pinnedZones.length) return;
+    [pinnedZones[index], pinnedZones[target]] = [pinnedZones[target], pinnedZones[index]];
+    savePinnedZones();
+    renderWorldClock();
+  }
+
+  function unpinZone(index) {
+    pinnedZones.splice(index, 1);
+    savePinnedZones();
+    renderWorldClock();
+  }
+
+  function formatDayDiff(date, tz) {
+    // Calendar-day difference between the pinned zone and the selected one
+    const a = getPartsInTz(date, tz);
+    const b = getPartsInTz(date, currentTimezone);
+    const days = Math.round((Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day)) / 86400000);
+    if (!days) return 'same day';
+    return (days > 0 ? '+' : '\u2212') + Math.abs(days) + (Math.abs(days) === 1 ? ' day' : ' days');
+  }
+
+  function renderWorldClock() {
+    const date = currentDate;
+    const frag = document.createDocumentFragment();
+    pinnedZones.forEach((tz, i) => {
+      const li = document.createElement('li');
+      li.className = 'pinned-zone';
+
+      const head = document.createElement('div');
+      head.className = 'pinned-head';
+      const name = document.createElement('span');
+      name.className = 'pinned-name';
+      name.textContent = tz;
+      const abbr = document.createElement('span');
+      abbr.className = 'pinned-abbr';
+      abbr.textContent = getTzAbbrev(date || new Date(), tz);
+      const day = document.createElement('span');
+      day.className = 'pinned-day';
+      day.textContent = date ? formatDayDiff(date, tz) : '';
+      const controls = document.createElement('span');
+      controls.className = 'pinned-controls';
+      for (const [action, label, title] of [['up', '\u2191', 'Move up'], ['down', '\u2193', 'Move down'], ['remove', '\u00D7', 'Remove']]) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = label;
+        btn.title = title;
+        btn.setAttribute('aria-label', title + ' ' + tz);
+        btn.setAttribute('data-pin-action', action);
+        btn.setAttribute('data-index', String(i));
+        controls.appendChild(btn);
+      }
+      head.append(name, abbr, day, controls);
+      li.appendChild(head);
+
+      const values = [
+        ['iso', date ? formatISOWithOffset(date, tz, currentNanos) : '\u2014'],
+        ['human', date ? formatHuman(date, tz) : '\u2014'],
+      ];
+      for (const [kind, text] of values) {
+        const row = document.createElement('div');
+        row.className = 'output-row';
+        const value = document.createElement('span');
+        value.className = 'output-value';
+        value.id = 'pin-' + kind + '-' + i;
+        value.textContent = text;
+        const copy = document.createElement('button');
+        copy.className = 'copy-btn';
+        copy.type = 'button';
+        copy.textContent = 'Copy';
+        copy.setAttribute('data-target', value.id);
+        row.append(value, copy);
+        li.appendChild(row);
+      }
+      frag.appendChild(li);
+    });
+    pinnedEl.replaceChildren(frag);
+    pinnedEl.classList.toggle('inactive', !date);
+  }
+
+  // ── Modes ───────────────────────────────────────────────
+
+  function setMode(next) {
+    mode = next;
+    document.body.setAttribute('data-mode', mode);
+    modeTabs.forEach((tab) => {
+      tab.setAttribute('aria-pressed', String(tab.getAttribute('data-mode') === mode));
+    });
+    batchSection.hidden = mode !== 'batch';
+    logSection.hidden = mode !== 'log';
+    updateUrl();
+    if (mode === 'batch') {
+      onBatchInput();
+      batchInput.focus();
+    } else if (mode === 'log') {
+      onLogInput();
+      logInput.focus();
+    } else {
+      input.focus();
+    }
+  }
+
+  // ── Batch mode ──────────────────────────────────────────
+
+  function renderBatchColumns() {
+    batchColumnsEl.innerHTML = '';
+    for (const fmt of OUTPUT_FORMATS) {
+      const label = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = fmt.id;
+      box.checked = batchColumns.includes(fmt.id);
+      label.append(box, ' ' + fmt.label);
+      batchColumnsEl.appendChild(label);
+    }
+  }
+
+  function onBatchInput() {
+    clearTimeout(batchTimer);
+    batchTimer = setTimeout(renderBatchTable, 150);
+  }
+
+  function batchRows() {
+    const columns = OUTPUT_FORMATS.filter((f) => batchColumns.includes(f.id));
+    return batchInput.value.split('\n').filter((line) => line.trim()).map((line) => {
+      const result = parseTimestamp(line);
+      return {
+        input: line.trim(),
+        format: result.format,
+        values: columns.map((f) => (result.date ? f.format(result.date, currentTimezone, result.nanos) : null)),
+      };
+    });
+  }
+
+  function renderBatchTable() {
+    updateUrl();
+    const columns = OUTPUT_FORMATS.filter((f) => batchColumns.includes(f.id));
+    const head = document.createElement('tr');
+    for (const label of ['Input', 'Detected', ...columns.map((f) => f.label)]) {
+      const th = document.createElement('th');
+      th.textContent = label;
+      head.appendChild(th);
+    }
+    batchTable.tHead.replaceChildren(head);
+
+    const body = document.createDocumentFragment();
+    for (const row of batchRows()) {
+      const tr = document.createElement('tr');
+      if (!row.format) tr.classList.add('batch-error');
+      for (const text of [row.input, row.format || 'Unrecognized format', ...row.values]) {
+        const td = document.createElement('td');
+        td.textContent = text === null ? '\u2014' : text;
+        tr.appendChild(td);
+      }
+      body.appendChild(tr);
+    }
+    batchTable.tBodies[0].replaceChildren(body);
+  }
+
+  function exportBatch(kind) {
+    const columns = OUTPUT_FORMATS.filter((f) => batchColumns.includes(f.id));
+    const rows = batchRows();
+    const header = ['Input', 'Detected', ...columns.map((f) => f.label)];
+    const cells = rows.map((r) => [r.input, r.format || '', ...r.values.map((v) => v || '')]);
+    let text;
+    let type = 'text/plain';
+    if (kind === 'json') {
+      text = JSON.stringify(rows.map((r) => {
+        const obj = { input: r.input, format: r.format };
+        columns.forEach((f, i) => {
+          obj[f.id] = r.values[i];
+        });
+        return obj;
+      }), null, 2);
+      type = 'application/json';
+    } else if (kind === 'csv') {
+      const quote = (v) => (/[",\r\n]/.test(v) ? '"' + v.replace(/"/g, '""') + '"' : v);
+      text = [header, ...cells].map((line) => line.map(quote).join(',')).join('\r\n');
+      type = 'text/csv';
+    } else if (kind === 'tsv') {
+      text = [header, ...cells].map((line) => line.map((v) => v.replace(/\t/g, ' ')).join('\t')).join('\n');
+      type = 'text/tab-separated-values';
+    } else {
+      const esc = (v) => v.replace(/\|/g, '\\|');
+      text = [
+        '| ' + header.map(esc).join(' | ') + ' |',
+        '|' + header.map(() => ' --- |').join(''),
+        ...cells.map((line) => '| ' + line.map(esc).join(' | ') + ' |'),
+      ].join('\n');
+      kind = 'md';
+    }
+    downloadFile('timestamps.' + kind, text, type);
+  }
+
+  function downloadFile(name, text, type) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type }));
+    link.download = name;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+
+  // ── Log mode ────────────────────────────────────────────
+
+  // Unanchored patterns that locate candidates in free text. Each hit is then
+  // run through parseTimestamp, so what gets loaded into the converter on
+  // click is parsed exactly as shown.
+  const LOG_PATTERNS = [
+    // ISO 8601 / RFC 3339, journald short-iso
+    /\b\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?(?![\w:])/gi,
+    // journald short-full
+    /\b(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun) \d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(?:\.\d+)?(?: (?:UTC|GMT))?\b/g,
+    // SQL / Log4j
+    /\b\d{4}-\d{2}-\d{2} \d{2}:\d{2}(?::\d{2}(?:[.,]\d+)?)?\b/g,
+    // nginx / Apache
+    /\b\d{2}\/(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\/\d{4}:\d{2}:\d{2}:\d{2} [+-]\d{4}/g,
+    // Syslog
+    /\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) {1,2}\d{1,2} \d{2}:\d{2}:\d{2}(?:\.\d+)?\b/g,
+    // Epoch seconds / ms / µs / ns between 2000 and 2100
+    /(?<![\w.])\d{10}(?:\d{3}){0,3}(?![\w.])/g,
+  ];
+
+  const EPOCH_RANGE_S = [946684800, 4102444800];
+
+  function findLogTimestamps(text) {
+    const found = [];
+    for (const re of LOG_PATTERNS) {
+      re.lastIndex = 0;
+      let m;
+      while ((m = re.exec(text))) {
+        found.push({ index: m.index, text: m[0] });
+      }
+    }
+    // Earliest first, longest wins on ties; drop anything overlapping a kept hit
+    found.sort((a, b) => a.index - b.index || b.text.length - a.text.length);
+    const hits = [];
+    let end = 0;
+    for (const hit of found) {
+      if (hit.index < end) continue;
+      const result = parseTimestamp(hit.text);
+      if (!result.date) continue;
+      if (/^Unix/.test(result.format)) {
+        const seconds = result.date.getTime() / 1000;
+        if (seconds < EPOCH_RANGE_S[0] || seconds > EPOCH_RANGE_S[1]) continue;
+      }
+      hits.push({ ...hit, date: result.date, nanos: result.nanos, format: result.format });
+      end = hit.index + hit.text.length;
+    }
+    return hits;
+  }
+
+  function onLogInput() {
+    clearTimeout(logTimer);
+    logTimer = setTimeout(renderLog, 150);
+  }
+
+  function renderLog() {
+    updateUrl();
+    const text = logInput.value;
+    const hits = findLogTimestamps(text);
+    const annotated = document.createDocumentFragment();
+    const list = document.createDocumentFragment();
+    let pos = 0;
+    hits.forEach((hit) => {
+      const converted = formatISOWithOffset(hit.date, currentTimezone, hit.nanos);
+      annotated.append(text.slice(pos, hit.index));
+      const mark = document.createElement('mark');
+      mark.className = 'log-hit';
+      mark.textContent = hit.text;
+      mark.title = hit.format + ' \u2192 ' + converted;
+      mark.setAttribute('data-value', hit.text);
+      const note = document.createElement('span');
+      note.className = 'log-note';
+      note.textContent = converted;
+      annotated.append(mark, note);
+      pos = hit.index + hit.text.length;
+
+      const li = document.createElement('li');
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.setAttribute('data-value', hit.text);
+      btn.title = 'Load into converter';
+      const original = document.createElement('span');
+      original.className = 'log-original';
+      original.textContent = hit.text;
+      const value = document.createElement('span');
+      value.className = 'log-converted';
+      value.textContent = converted;
+      const fmt = document.createElement('span');
+      fmt.className = 'log-format';
+      fmt.textContent = hit.format;
+      btn.append(original, value, fmt);
+      li.appendChild(btn);
+      list.appendChild(li);
+    });
+    annotated.append(text.slice(pos));
+    logAnnotated.replaceChildren(annotated);
+    logAnnotated.hidden = !text.trim();
+    logHits.replaceChildren(list);
+  }
+
+  function loadFromLog(value) {
+    input.value = value;
+    setMode('single');
+    onInput();
+  }
+
+  // ── Permalinks ──────────────────────────────────────────
+
+  // #t=<input>&tz=<IANA>&df=us|eu&mode=batch|log — the text is whatever the
+  // active mode's input holds
+
+  function linkText() {
+    // Only the single input goes in the link: batch and log text can be long
+    // and full of hostnames and IDs. Tokens are credentials, so a token
+    // becomes the instant it resolves to
+    if (mode !== 'single') return '';
+    const text = input.value;
+    if (!JWT.test(text.trim())) return text;
+    const token = parseJWT(text.trim());
+    return token ? formatISO(token.date, 0) : '';
+  }
+
+  function updateUrl() {
+    const params = new URLSearchParams();
+    const text = linkText();
+    if (text) params.set('t', text);
+    params.set('tz', currentTimezone);
+    if (inputTimezone !== 'UTC') params.set('itz', inputTimezone);
+    if (dstPick !== 'earlier') params.set('dst', dstPick);
+    params.set('df', dateFormat);
+    if (mode !== 'single') params.set('mode', mode);
+    const hash = '#' + params.toString();
+    if (location.hash !== hash) history.replaceState(null, '', hash);
+  }
+
+  function isValidTimezone(tz) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: tz });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  function applyHash() {
+    // State from the link wins for this visit but is not saved as a preference
+    const params = new URLSearchParams(location.hash.slice(1));
+    if (![...params.keys()].length) return false;
+
+    const tz = params.get('tz');
+    if (tz && isValidTimezone(tz)) {
+      currentTimezone = tz;
+      tzPicker.refresh();
+    }
+    const itz = params.get('itz');
+    inputTimezone = itz && isValidTimezone(itz) ? itz : 'UTC';
+    inputTzPicker.refresh();
+    dstPick = params.get('dst') === 'later' ? 'later' : 'earlier';
+    const df = params.get('df');
+    if (df === 'us' || df === 'eu') {
+      dateFormat = df;
+      dateFormatToggle.textContent = dateFormat === 'us' ? 'MM/DD' : 'DD/MM';
+    }
+    const linkedMode = ['batch', 'log'].includes(params.get('mode')) ? params.get('mode') : 'single';
+    const text = params.get('t');
+    if (text !== null) {
+      ({ batch: batchInput, log: logInput, single: input })[linkedMode].value = text;
+    }
+    setMode(linkedMode);
+    if (linkedMode === 'single') onInput();
+    return true;
+  }
+
+  // ── History ─────────────────────────────────────────────
+
+  const HISTORY_LIMIT = 200; // unpinned entries kept
+  const HISTORY_DELAY = 1500; // idle time before a typed conversion is kept
+  const HISTORY_MERGE = 30000; // a longer input typed within this replaces the entry it extends
+
+  function saveHistory() {
+    savePref('history', JSON.stringify(historyEntries));
+  }
+
+  function recordHistory() {
+    // The conversion on screen once typing settles; the same input moves to
+    // the top and keeps its pin and label. A token is kept without its signature
+    const text = redactJWT(input.value.trim());
+    if (mode !== 'single' || !text || !currentDate) return;
+    const top = historyEntries[0];
+    if (top && !top.pinned && !top.label && top.input !== text && text.startsWith(top.input) &&
+        Date.now() - Date.parse(top.converted) < HISTORY_MERGE) historyEntries.shift();
+    const old = historyEntries.find((e) => e.input === text);
+    historyEntries = historyEntries.filter((e) => e !== old);
+    historyEntries.unshift({
+      input: text,
+      format: detectedEl.textContent,
+      timezone: currentTimezone,
+      instant: formatISO(currentDate, currentNanos),
+      converted: new Date().toISOString(),
+      pinned: old ? old.pinned : false,
+      label: old ? old.label : '',
+    });
+    let unpinned = 0;
+    historyEntries = historyEntries.filter((e) => e.pinned || ++unpinned <= HISTORY_LIMIT);
+    saveHistory();
+    if (!historyPanel.hidden) renderHistory();
+  }
+
+  function recallHistory(entry) {
+    // The raw input while it still reads as the same instant; otherwise (a
+    // relative input, another input timezone) the stored instant
+    clearTimeout(historyTimer);
+    if (mode !== 'single') setMode('single');
+    if (entry.timezone !== currentTimezone && isValidTimezone(entry.timezone)) {
+      currentTimezone = entry.timezone;
+      savePref('timezone', currentTimezone);
+      tzPicker.refresh();
+    }
+    const r = parseTimestamp(entry.input);
+    input.value = r.date && formatISO(r.date, r.nanos) === entry.instant ? entry.input : entry.instant;
+    onInput();
+  }
+
+  function stepHistory(e) {
+    // Arrow-up in the empty input walks back through history, arrow-down
+    // forward and finally back to the empty input
+    if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    if (historyCursor < 0 && (e.key !== 'ArrowUp' || input.value)) return;
+    const next = historyCursor + (e.key === 'ArrowUp' ? 1 : -1);
+    e.preventDefault();
+    if (next >= historyEntries.length) return;
+    historyCursor = next;
+    if (next < 0) {
+      input.value = '';
+      onInput();
+    } else {
+      recallHistory(historyEntries[next]);
+    }
+  }
+
+  function renderHistory() {
+    // Pinned entries first, each group newest first; buttons carry the index
+    const query = historySearch.value.trim().toLowerCase();
+    const shown = [...historyEntries.filter((e) => e.pinned), ...historyEntries.filter((e) => !e.pinned)]
+      .filter((e) => !query || [e.input, e.label, e.format, e.timezone, e.instant].some((v) => v.toLowerCase().includes(query)));
+    historyList.innerHTML = '';
+    for (const entry of shown) {
+      const i = String(historyEntries.indexOf(entry));
+      const li = document.createElement('li');
+      li.className = 'history-entry';
+      li.classList.toggle('pinned', entry.pinned);
+
+      const head = document.createElement('div');
+      head.className = 'history-head';
+      const recall = document.createElement('button');
+      recall.type = 'button';
+      recall.className = 'history-input';
+      recall.textContent = entry.input;
+      recall.title = 'Convert again';
+      recall.setAttribute('data-history-action', 'recall');
+      recall.setAttribute('data-index', i);
+      head.appendChild(recall);
+      for (const [action, label, title] of [
+        ['pin', entry.pinned ? '\u2605' : '\u2606', entry.pinned ? 'Unpin' : 'Pin'],
+        ['remove', '\u00D7', 'Remove'],
+      ]) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'history-control';
+        btn.textContent = label;
+        btn.title = title;
+        btn.setAttribute('aria-label', title + ' ' + entry.input);
+        btn.setAttribute('data-history-action', action);
+        btn.setAttribute('data-index', i);
+        if (action === 'pin') btn.setAttribute('aria-pressed', String(entry.pinned));
+        head.appendChild(btn);
+      }
+
+      const label = document.createElement('input');
+      label.type = 'text';
+      label.className = 'history-label';
+      label.value = entry.label;
+      label.placeholder = 'Label';
+      label.setAttribute('aria-label', 'Label for ' + entry.input);
+      label.setAttribute('data-index', i);
+
+      const meta = document.createElement('div');
+      meta.className = 'history-meta';
+      meta.textContent = entry.format + ' \u00b7 ' + entry.instant + ' \u00b7 ' + entry.timezone + ' \u00b7 ' +
+        formatRelative(new Date(entry.converted));
+      li.append(head, label, meta);
+      historyList.appendChild(li);
+    }
+    historyEmpty.hidden = shown.length > 0;
+    historyEmpty.textContent = historyEntries.length ? 'No entries match' : 'Conversions you make are kept here';
+    historyClear.disabled = !historyEntries.some((e) => !e.pinned);
+    historyExport.disabled = !historyEntries.length;
+  }
+
+  function toggleHistory(open) {
+    historyPanel.hidden = !open;
+    historyBtn.setAttribute('aria-expanded', String(open));
+    if (open) {
+      renderHistory();
+      historySearch.focus();
+    } else {
+      historyBtn.focus();
+    }
+  }
+
   // ── Copy ────────────────────────────────────────────────
 
   function copyValue(button) {
     const targetId = button.getAttribute('data-target');
     const el = document.getElementById(targetId);
     if (!el || el.textContent === '\u2014') return;
+    copyText(button, el.textContent);
+  }
 
-    navigator.clipboard.writeText(el.textContent).then(() => {
+  function copyText(button, text) {
+    if (button.classList.contains('copied')) return;
+    const label = button.textContent;
+    navigator.clipboard.writeText(text).then(() => {
       button.textContent = 'Copied!';
       button.classList.add('copied');
       setTimeout(() => {
-        button.textContent = 'Copy';
+        button.textContent = label;
         button.classList.remove('copied');
       }, 1200);
     });
@@ -814,8 +4689,78 @@
 
   // ── Relative timer ──────────────────────────────────────
 
+  // Readings that depend on the clock; live mode re-reads them every tick
+  const LIVE_READINGS = ['Relative', 'Time only', 'Cron'];
+
   function startRelativeTimer() {
-    // no-op: relative output is static, computed once at parse time
+    // Ticks on the second boundary while live mode is on and the tab is visible
+    clearTimeout(relativeTimer);
+    relativeTimer = null;
+    if (!live || document.hidden) return;
+    const tick = () => {
+      relativeTimer = setTimeout(tick, 1000 - (Date.now() % 1000));
+      refreshLive();
+    };
+    relativeTimer = setTimeout(tick, 1000 - (Date.now() % 1000));
+  }
+
+  function refreshLive() {
+    if (!live || mode !== 'single' || !currentDate) return;
+    if (LIVE_READINGS.includes(currentReading)) {
+      onInput();
+      return;
+    }
+    outputs.relative.textContent = formatLocalRelative(currentDate);
+    renderCountdown();
+  }
+
+  function formatCountdown(ms) {
+    // "2d 0h 4m 5s" from the first non-zero unit; rounded up, so 0s is never shown early
+    const total = Math.ceil(ms / 1000);
+    const parts = [
+      [Math.floor(total / 86400), 'd'], [Math.floor(total / 3600) % 24, 'h'],
+      [Math.floor(total / 60) % 60, 'm'], [total % 60, 's'],
+    ];
+    return parts.slice(Math.min(parts.findIndex(([n]) => n), 3)).map(([n, unit]) => n + unit).join(' ');
+  }
+
+  function renderCountdown() {
+    // Live mode only: time left until a future instant, then how long ago it was reached
+    const target = live && currentDate && !LIVE_READINGS.includes(currentReading) ? currentDate.getTime() : null;
+    const left = target === null ? 0 : target - Date.now();
+    if (target !== alarmAt || (!alarmTimer && !alarmFired && left > 0)) armAlarm(target);
+    countdownEl.hidden = target === null || (left <= 0 && !alarmFired);
+    if (countdownEl.hidden) return;
+    countdownValue.textContent = alarmFired ? 'reached ' + formatRelative(currentDate) : formatCountdown(left);
+  }
+
+  function armAlarm(target) {
+    // A timer of its own, so the alert fires while ticking is paused in a
+    // hidden tab; setTimeout can't wait more than ~24.8 days
+    clearTimeout(alarmTimer);
+    alarmTimer = null;
+    alarmAt = target;
+    alarmFired = false;
+    document.title = pageTitle;
+    const delay = target === null ? 0 : target - Date.now();
+    if (delay > 0 && delay < 2147483647) alarmTimer = setTimeout(countdownReached, delay);
+  }
+
+  function countdownReached() {
+    alarmTimer = null;
+    alarmFired = true;
+    renderCountdown();
+    if (!liveAlert) return;
+    document.title = '\u23f0 Reached \u2014 ' + pageTitle;
+    if (window.Notification && Notification.permission === 'granted') {
+      try {
+        new Notification('Time Converter', {
+          body: input.value.trim() + ' reached (' + formatISOWithOffset(new Date(alarmAt), currentTimezone, 0) + ')',
+        });
+      } catch {
+        // Some browsers (Chrome on Android) only notify through a service worker; the title still says so
+      }
+    }
   }
 
   // ── Event listeners ─────────────────────────────────────
@@ -824,8 +4769,151 @@
     // Input
     input.addEventListener('input', onInput);
 
+    // History: typed conversions are kept once they settle
+    input.addEventListener('input', () => {
+      historyCursor = -1;
+      clearTimeout(historyTimer);
+      historyTimer = setTimeout(recordHistory, HISTORY_DELAY);
+    });
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowUp' || e.key === 'ArrowDown') stepHistory(e);
+    });
+    historyBtn.addEventListener('click', () => toggleHistory(historyPanel.hidden));
+    historyClose.addEventListener('click', () => toggleHistory(false));
+    historyPanel.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') toggleHistory(false);
+    });
+    historySearch.addEventListener('input', renderHistory);
+    historyList.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-history-action]');
+      if (!btn) return;
+      const entry = historyEntries[parseInt(btn.getAttribute('data-index'), 10)];
+      const action = btn.getAttribute('data-history-action');
+      if (action === 'recall') {
+        historyCursor = -1;
+        recallHistory(entry);
+        return;
+      }
+      if (action === 'pin') entry.pinned = !entry.pinned;
+      else historyEntries = historyEntries.filter((x) => x !== entry);
+      saveHistory();
+      renderHistory();
+    });
+    historyList.addEventListener('change', (e) => {
+      if (!e.target.matches('.history-label')) return;
+      historyEntries[parseInt(e.target.getAttribute('data-index'), 10)].label = e.target.value.trim();
+      saveHistory();
+    });
+    historyExport.addEventListener('click', () => {
+      downloadFile('timestamp-history.json', JSON.stringify(historyEntries, null, 2), 'application/json');
+    });
+    historyClear.addEventListener('click', () => {
+      historyEntries = historyEntries.filter((e) => e.pinned);
+      saveHistory();
+      renderHistory();
+    });
+
+    // Modes
+    modeTabs.forEach((tab) => {
+      tab.addEventListener('click', () => setMode(tab.getAttribute('data-mode')));
+    });
+
+    // Batch mode
+    batchInput.addEventListener('input', onBatchInput);
+    batchColumnsEl.addEventListener('change', () => {
+      batchColumns = [...batchColumnsEl.querySelectorAll('input:checked')].map((box) => box.value);
+      savePref('batchColumns', batchColumns.join(','));
+      renderBatchTable();
+    });
+    batchSection.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-export]');
+      if (btn) exportBatch(btn.getAttribute('data-export'));
+    });
+
+    // Optional output rows
+    extraRowsPicker.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-custom-action]');
+      if (!btn) return;
+      const id = btn.getAttribute('data-id');
+      if (btn.getAttribute('data-custom-action') === 'edit') editCustomFormat(id);
+      else removeCustomFormat(id);
+    });
+    customForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      saveCustomFormat();
+    });
+    customForm.addEventListener('input', renderCustomPreview);
+    localeForm.addEventListener('input', onLocaleInput);
+    localeForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      addLocaleRow();
+    });
+    localeRowList.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-id]');
+      if (btn) removeLocaleRow(btn.getAttribute('data-id'));
+    });
+    customForm.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') resetCustomEditor();
+    });
+
+    // Input patterns
+    inputPatternList.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-pattern-action]');
+      if (!btn) return;
+      const id = btn.getAttribute('data-id');
+      const action = btn.getAttribute('data-pattern-action');
+      if (action === 'up') moveInputPattern(id, -1);
+      else if (action === 'down') moveInputPattern(id, 1);
+      else if (action === 'edit') editInputPattern(id);
+      else removeInputPattern(id);
+    });
+    inputPatternForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      saveInputPattern();
+    });
+    inputPatternForm.addEventListener('input', renderInputPatternPreview);
+    snowflakeForm.addEventListener('input', onSnowflakeInput);
+    cronReferenceInput.addEventListener('input', reparse);
+    cronCountInput.addEventListener('change', () => {
+      const n = parseInt(cronCountInput.value, 10);
+      if (n >= 1 && n <= 50) {
+        cronCount = n;
+        savePref('cronCount', n);
+      }
+      cronCountInput.value = cronCount;
+      renderCronPanel();
+    });
+    cronDialectSelect.addEventListener('change', () => {
+      cronDialect = cronDialectSelect.value;
+      savePref('cronDialect', cronDialect);
+      reparse();
+    });
+    tokenClaims.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-claim]');
+      if (!btn) return;
+      tokenClaim = btn.getAttribute('data-claim');
+      reparse();
+    });
+    snowflakeForm.addEventListener('submit', (e) => e.preventDefault());
+    inputPatternForm.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') resetInputPatternEditor();
+    });
+    extraRowsPicker.addEventListener('change', () => {
+      extraRows = [...extraRowsPicker.querySelectorAll('input:checked')].map((box) => box.value);
+      savePref('extraRows', extraRows.join(','));
+      renderExtraRows();
+      updateOutputs();
+    });
+
+    // Log mode
+    logInput.addEventListener('input', onLogInput);
+    logSection.addEventListener('click', (e) => {
+      const hit = e.target.closest('[data-value]');
+      if (hit) loadFromLog(hit.getAttribute('data-value'));
+    });
+
     // Copy buttons
-    outputSection.addEventListener('click', (e) => {
+    document.addEventListener('click', (e) => {
       const btn = e.target.closest('.copy-btn');
       if (btn) copyValue(btn);
     });
@@ -837,73 +4925,129 @@
       input.focus();
     });
 
-    // Theme toggle
-    themeToggle.addEventListener('click', toggleTheme);
-
-    // Date format toggle
-    dateFormatToggle.addEventListener('click', () => {
-      dateFormat = dateFormat === 'us' ? 'eu' : 'us';
-      dateFormatToggle.textContent = dateFormat === 'us' ? 'MM/DD' : 'DD/MM';
-      savePref('dateFormat', dateFormat);
-      // Re-parse if there's input
-      if (input.value.trim()) onInput();
+    // Live mode
+    liveBtn.addEventListener('click', () => {
+      live = !live;
+      savePref('live', live ? '1' : '0');
+      liveBtn.setAttribute('aria-pressed', String(live));
+      liveAlertLabel.hidden = !live;
+      startRelativeTimer();
+      if (live) refreshLive();
+      else renderCountdown();
+    });
+    liveAlertBox.addEventListener('change', () => {
+      liveAlert = liveAlertBox.checked;
+      savePref('liveAlert', liveAlert ? '1' : '0');
+      if (liveAlert && window.Notification && Notification.permission === 'default') Notification.requestPermission();
+    });
+    document.addEventListener('visibilitychange', () => {
+      startRelativeTimer();
+      if (!document.hidden) refreshLive();
     });
 
     // Timezone dropdown
-    tzSearch.addEventListener('focus', () => {
-      tzSearch.select();
+    tzPicker = createTzPicker(tzSearch, tzList, {
+      getSelected: () => currentTimezone,
+      onSelect: selectTimezone,
     });
 
-    tzSearch.addEventListener('input', () => {
-      if (!tzList.classList.contains('open')) {
-        filteredTimezones = allTimezones;
-        renderTzList();
-        tzList.classList.add('open');
-        tzSearch.setAttribute('aria-expanded', 'true');
-      }
-      filterTimezones(tzSearch.value);
+    // Input timezone
+    inputTzPicker = createTzPicker(inputTzSearch, inputTzList, {
+      getSelected: () => inputTimezone,
+      onSelect: selectInputTimezone,
     });
 
-    tzSearch.addEventListener('blur', () => {
-      // Delay to allow click on list item
-      setTimeout(closeTzDropdown, 150);
+    // Cron schedule timezone
+    createTzPicker(cronTzSearch, cronTzList, {
+      getSelected: () => cronTimezone,
+      onSelect: (tz) => {
+        cronTimezone = tz;
+        savePref('cronTimezone', tz);
+        reparse();
+      },
+    });
+    dstHint.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-choice]');
+      if (!btn) return;
+      dstPick = btn.getAttribute('data-choice');
+      updateUrl();
+      reparse();
+    });
+    readingHint.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-choice]');
+      if (!btn) return;
+      pickReading(readingHint.getAttribute('data-shape'), btn.getAttribute('data-choice'));
+      reparse();
+    });
+    zoneHint.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-choice]');
+      if (!btn) return;
+      zonePicks[zoneHint.getAttribute('data-abbr')] = btn.getAttribute('data-choice');
+      reparse();
     });
 
-    tzSearch.addEventListener('keydown', (e) => {
-      const items = tzList.children;
-      if (e.key === 'ArrowDown') {
-        e.preventDefault();
-        setHighlight(Math.min(highlightedIndex + 1, items.length - 1));
-      } else if (e.key === 'ArrowUp') {
-        e.preventDefault();
-        setHighlight(Math.max(highlightedIndex - 1, 0));
-      } else if (e.key === 'Enter') {
-        e.preventDefault();
-        if (highlightedIndex >= 0 && highlightedIndex < filteredTimezones.length) {
-          selectTimezone(filteredTimezones[highlightedIndex]);
-        }
-      } else if (e.key === 'Escape') {
-        closeTzDropdown();
-        tzSearch.blur();
+    // World clock
+    createTzPicker(pinSearch, pinList, { onSelect: pinZone });
+    pinnedEl.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-pin-action]');
+      if (!btn) return;
+      const index = parseInt(btn.getAttribute('data-index'), 10);
+      const action = btn.getAttribute('data-pin-action');
+      if (action === 'up') movePinnedZone(index, -1);
+      else if (action === 'down') movePinnedZone(index, 1);
+      else unpinZone(index);
+    });
+
+    // Offset history is built on first open
+    transitionsHistoryDetails.addEventListener('toggle', () => {
+      if (transitionsHistoryDetails.open) renderTransitionsPanel();
+    });
+
+    // Permalinks
+    copyLinkBtn.addEventListener('click', () => {
+      updateUrl();
+      copyText(copyLinkBtn, location.href);
+    });
+    window.addEventListener('hashchange', applyHash);
+
+    // Theme toggle
+    themeToggle.addEventListener('click', toggleTheme);
+
+    // Date format toggle
+    dateFormatToggle.addEventListener('click', () => {
+      dateFormat = dateFormat === 'us' ? 'eu' : 'us';
+      dateFormatToggle.textContent = dateFormat === 'us' ? 'MM/DD' : 'DD/MM';
+      savePref('dateFormat', dateFormat);
+      // A slash-date pick for a shape would override the new order
+      for (const [shape, id] of Object.entries(readingPicks)) {
+        if (isSlashDate(id)) delete readingPicks[shape];
       }
+      savePref('readingPicks', JSON.stringify(readingPicks));
+      updateUrl();
+      // Re-parse if there's input
+      reparse();
     });
 
     // Global keyboard shortcuts
     document.addEventListener('keydown', (e) => {
-      // Escape to clear (when not in tz dropdown)
-      if (e.key === 'Escape' && document.activeElement !== tzSearch) {
+      // Escape to clear (when not in a tz dropdown); a batch paste is kept
+      if (e.key === 'Escape' && mode === 'single' && !e.target.closest('.tz-dropdown, .pattern-form, .history-panel')) {
         input.value = '';
         currentDate = null;
-        detectedEl.textContent = '\u2014';
-        feedback.textContent = '';
+        currentInterval = null;
+        setDetected(null);
+        setFeedback('');
+        dateFormatHint.hidden = true;
+        renderHints(null);
         grayOut();
         input.focus();
       }
 
       // Ctrl/Cmd + V: focus input (browser handles the paste)
       if ((e.ctrlKey || e.metaKey) && e.key === 'v') {
-        if (document.activeElement !== input && document.activeElement !== tzSearch) {
-          input.focus();
+        const target = { batch: batchInput, log: logInput }[mode] || input;
+        if (document.activeElement !== target && !document.activeElement.matches('input, textarea')) {
+          target.focus();
           // Allow default paste to happen into the now-focused input
         }
       }